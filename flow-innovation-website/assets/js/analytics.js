@@ -0,0 +1,322 @@
+/**
+ * Flow Innovation - Analytics
+ * One event taxonomy for every page, pluggable adapters (beacon, console, no-op)
+ * and batched delivery. Nothing leaves the page until the visitor consents.
+ *
+ * Loaded by every page before main.js, and by server/analytics.js for the taxonomy.
+ */
+
+(function(root) {
+    'use strict';
+
+    // ===== EVENT TAXONOMY =====
+
+    /**
+     * Every event the site may send, with the properties it may carry.
+     * Names are object_action in snake_case; add new ones here first.
+     */
+    const EVENTS = {
+        page_view: ['page', 'referrer'],
+        scroll_depth: ['depth'],
+        modal_open: ['modal'],
+        modal_close: ['modal'],
+        form_submit: ['form', 'queued'],
+        form_error: ['form', 'status'],
+        resource_download: ['file'],
+        principle_expand: ['principle'],
+        principle_collapse: ['principle'],
+        principle_share: ['principle'],
+        principle_slide_view: ['principle'],
+        principle_search: ['query', 'results'],
+        philosophy_section_view: ['section'],
+        quote_copy: ['section'],
+        quote_share: ['section', 'method']
+    };
+
+    const MAX_BATCH = 20;
+    const PROPERTY_MAX_LENGTH = 100;
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = { EVENTS, MAX_BATCH, PROPERTY_MAX_LENGTH };
+        return;
+    }
+
+    // ===== CONFIGURATION =====
+    const ENDPOINT = '/api/events';
+    const FLUSH_DELAY = 5000;
+    const MAX_PENDING = 100; // kept in memory while consent is undecided
+    const CONSENT_KEY = 'flowInnovation_analyticsConsent';
+    const ADAPTER_KEY = 'flowInnovation_analyticsAdapter';
+
+    // ===== ADAPTERS =====
+    // An adapter is { send(events) }; it receives batches of consented events
+
+    const adapters = {
+        /**
+         * POST batches to the local server; sendBeacon survives page unloads
+         */
+        beacon: {
+            send(events) {
+                const body = JSON.stringify({ events });
+
+                if (navigator.sendBeacon && navigator.sendBeacon(ENDPOINT, new Blob([body], { type: 'application/json' }))) {
+                    return;
+                }
+
+                fetch(ENDPOINT, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(() => {
+                    // Analytics never interrupts the visitor
+                });
+            }
+        },
+
+        /**
+         * Print batches to the console (?analytics=console)
+         */
+        console: {
+            send(events) {
+                console.groupCollapsed(`📊 Analytics: ${events.length} event${events.length === 1 ? '' : 's'}`);
+                events.forEach(event => console.log(event.name, event.properties));
+                console.groupEnd();
+            }
+        },
+
+        /**
+         * Discard everything (file:// previews, or ?analytics=noop)
+         */
+        noop: {
+            send() {}
+        }
+    };
+
+    // ===== STATE =====
+    let adapter = adapters[chooseAdapter()];
+    let pending = [];
+    let flushTimer = null;
+
+    // ===== STORAGE =====
+
+    function readStorage(storage, key) {
+        try {
+            return storage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function writeStorage(storage, key, value) {
+        try {
+            storage.setItem(key, value);
+        } catch (e) {
+            // Storage unavailable (e.g. privacy mode); the choice lasts for this page only
+        }
+    }
+
+    /**
+     * Adapter from ?analytics=..., remembered for the tab; otherwise beacon over http(s)
+     */
+    function chooseAdapter() {
+        const requested = new URLSearchParams(window.location.search).get('analytics');
+
+        if (requested && adapters[requested]) {
+            writeStorage(sessionStorage, ADAPTER_KEY, requested);
+            return requested;
+        }
+
+        const remembered = readStorage(sessionStorage, ADAPTER_KEY);
+        if (remembered && adapters[remembered]) return remembered;
+
+        return /^https?:$/.test(window.location.protocol) ? 'beacon' : 'noop';
+    }
+
+    // ===== CONSENT =====
+
+    /**
+     * 'granted', 'denied', or null while the visitor has not decided
+     */
+    function getConsent() {
+        const value = readStorage(localStorage, CONSENT_KEY);
+        return value === 'granted' || value === 'denied' ? value : null;
+    }
+
+    function setConsent(value) {
+        if (value !== 'granted' && value !== 'denied') return;
+
+        writeStorage(localStorage, CONSENT_KEY, value);
+        hideConsentBanner();
+
+        if (value === 'granted') {
+            flush();
+        } else {
+            pending = [];
+        }
+    }
+
+    // ===== TRACKING =====
+
+    /**
+     * Keep only the properties the taxonomy allows, as short strings, numbers or booleans
+     */
+    function sanitizeProperties(name, properties = {}) {
+        const clean = {};
+
+        EVENTS[name].forEach(key => {
+            const value = properties[key];
+
+            if (typeof value === 'string') {
+                clean[key] = value.trim().slice(0, PROPERTY_MAX_LENGTH);
+            } else if (typeof value === 'number' && Number.isFinite(value)) {
+                clean[key] = value;
+            } else if (typeof value === 'boolean') {
+                clean[key] = value;
+            }
+        });
+
+        return clean;
+    }
+
+    /**
+     * Record an event; it is sent in the next batch once consent is given
+     */
+    function track(name, properties) {
+        if (!Object.prototype.hasOwnProperty.call(EVENTS, name)) {
+            console.warn(`Analytics: unknown event "${name}"`);
+            return;
+        }
+
+        const consent = getConsent();
+        if (consent === 'denied') return;
+
+        pending.push({
+            name,
+            properties: sanitizeProperties(name, properties),
+            page: window.location.pathname,
+            timestamp: new Date().toISOString()
+        });
+
+        if (consent !== 'granted') {
+            pending = pending.slice(-MAX_PENDING);
+            return;
+        }
+
+        if (pending.length >= MAX_BATCH) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, FLUSH_DELAY);
+        }
+    }
+
+    /**
+     * Hand pending events to the adapter in batches of MAX_BATCH
+     */
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+
+        if (getConsent() !== 'granted') return;
+
+        while (pending.length) {
+            adapter.send(pending.splice(0, MAX_BATCH));
+        }
+    }
+
+    /**
+     * Switch adapters by name, or register and use a custom { send(events) } object
+     */
+    function use(nameOrAdapter, custom) {
+        if (typeof nameOrAdapter === 'string' && custom && typeof custom.send === 'function') {
+            adapters[nameOrAdapter] = custom;
+        }
+
+        const next = typeof nameOrAdapter === 'string' ? adapters[nameOrAdapter] : nameOrAdapter;
+        if (!next || typeof next.send !== 'function') {
+            throw new Error('Analytics adapters need a send(events) method');
+        }
+
+        flush();
+        adapter = next;
+    }
+
+    // ===== CONSENT BANNER =====
+
+    function hideConsentBanner() {
+        const banner = document.getElementById('consent-banner');
+        if (banner) banner.remove();
+    }
+
+    /**
+     * Ask for consent; also reopened from the footer's "Analytics Preferences"
+     */
+    function showConsentBanner() {
+        if (document.getElementById('consent-banner')) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'consent-banner';
+        banner.id = 'consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Analytics consent');
+        banner.innerHTML = `
+            <p class="consent-banner__text">
+                May we count page views and which features you use? It helps us improve the site.
+                No cookies, no personal details, and nothing is sent unless you allow it.
+            </p>
+            <div class="consent-banner__actions">
+                <button type="button" class="btn btn--secondary" data-consent="denied">No thanks</button>
+                <button type="button" class="btn btn--primary" data-consent="granted">Allow</button>
+            </div>
+        `;
+
+        banner.addEventListener('click', event => {
+            const choice = event.target.closest('[data-consent]');
+            if (choice) setConsent(choice.dataset.consent);
+        });
+
+        document.body.appendChild(banner);
+    }
+
+    // ===== INITIALIZATION =====
+
+    function initAnalytics() {
+        if (!getConsent()) showConsentBanner();
+
+        document.addEventListener('click', event => {
+            if (event.target.closest('[data-analytics-preferences]')) {
+                event.preventDefault();
+                showConsentBanner();
+            }
+        });
+
+        track('page_view', {
+            page: window.location.pathname,
+            referrer: document.referrer ? new URL(document.referrer).hostname : ''
+        });
+    }
+
+    // Deliver what is left before the page goes away
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAnalytics);
+    } else {
+        initAnalytics();
+    }
+
+    // ===== EXPORT =====
+    root.FlowAnalytics = {
+        EVENTS,
+        track,
+        flush,
+        use,
+        getConsent,
+        setConsent,
+        showConsentBanner
+    };
+
+})(typeof self !== 'undefined' ? self : this);
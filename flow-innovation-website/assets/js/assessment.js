@@ -0,0 +1,445 @@
+/**
+ * Principles Page - Maturity Self-Assessment
+ * 1-5 rating per principle, radar chart summary, next steps and JSON/CSV export
+ */
+
+(function() {
+    'use strict';
+
+    // ===== CONFIGURATION =====
+    const STORAGE_KEY = 'flowInnovation_assessment';
+    const PRINCIPLES = window.FlowPrinciples || [];
+
+    /**
+     * Behavioral anchors for each maturity level
+     */
+    const LEVELS = [
+        { score: 1, label: 'Not yet', anchor: 'We rarely do this; it is not part of how we work.' },
+        { score: 2, label: 'Occasional', anchor: 'Individuals do it now and then, without a shared approach.' },
+        { score: 3, label: 'Emerging', anchor: 'Some teams do it deliberately, but not consistently.' },
+        { score: 4, label: 'Practiced', anchor: 'Most teams work this way and can point to recent examples.' },
+        { score: 5, label: 'Embedded', anchor: 'It shapes decisions at every level and holds up under pressure.' }
+    ];
+
+    const CHART_SIZE = 360;
+    const CHART_RADIUS = 120;
+
+    // ===== STATE =====
+    let assessment = loadAssessment();
+
+    // ===== PERSISTENCE =====
+
+    /**
+     * Load saved ratings from localStorage
+     */
+    function loadAssessment() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && typeof saved.ratings === 'object') {
+                return { respondent: saved.respondent || '', ratings: saved.ratings, updatedAt: saved.updatedAt || null };
+            }
+        } catch (e) {
+            console.warn('Could not read the saved assessment');
+        }
+        return { respondent: '', ratings: {}, updatedAt: null };
+    }
+
+    function saveAssessment() {
+        assessment.updatedAt = new Date().toISOString();
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(assessment));
+        } catch (e) {
+            console.warn('Could not save the assessment to localStorage');
+        }
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ===== SCORING =====
+
+    function getScore(principleId) {
+        const score = Number(assessment.ratings[principleId]);
+        return score >= 1 && score <= 5 ? score : null;
+    }
+
+    function getLevel(score) {
+        return LEVELS.find(level => level.score === score) || null;
+    }
+
+    /**
+     * Rated principles with the lowest score (ties are all returned)
+     */
+    function getWeakestPrinciples() {
+        const rated = PRINCIPLES.filter(principle => getScore(principle.id) !== null);
+        if (!rated.length) return [];
+
+        const lowest = Math.min(...rated.map(principle => getScore(principle.id)));
+        return rated.filter(principle => getScore(principle.id) === lowest);
+    }
+
+    // ===== RATING CONTROLS =====
+
+    /**
+     * Add the 1-5 rating to a principle card
+     */
+    function renderRating(card, principle) {
+        const content = card.querySelector('.principle-card__content');
+        if (!content || content.querySelector('.principle-rating')) return;
+
+        const name = `maturity-${principle.id}`;
+        const section = document.createElement('div');
+        section.className = 'principle-section principle-rating';
+        section.innerHTML = `
+            <fieldset class="principle-rating__fieldset">
+                <legend class="principle-section__title">Rate Your Team's Maturity</legend>
+                <div class="principle-rating__options">
+                    ${LEVELS.map(level => `
+                        <label class="principle-rating__option" title="${level.anchor}">
+                            <input type="radio" name="${name}" value="${level.score}">
+                            <span class="principle-rating__score">${level.score}</span>
+                            <span class="principle-rating__label">${level.label}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <p class="principle-rating__anchor" aria-live="polite"></p>
+            </fieldset>
+        `;
+
+        const actions = content.querySelector('.principle-card__actions');
+        content.insertBefore(section, actions);
+
+        section.addEventListener('change', event => {
+            if (event.target.name !== name) return;
+            setRating(principle.id, Number(event.target.value));
+            updateRating(card, principle);
+        });
+
+        updateRating(card, principle);
+    }
+
+    /**
+     * Reflect the saved score in a card's radios and anchor text
+     */
+    function updateRating(card, principle) {
+        const section = card.querySelector('.principle-rating');
+        if (!section) return;
+
+        const score = getScore(principle.id);
+        const level = getLevel(score);
+
+        section.querySelectorAll('input[type="radio"]').forEach(input => {
+            input.checked = Number(input.value) === score;
+        });
+
+        section.querySelector('.principle-rating__anchor').textContent = level
+            ? `${level.score} – ${level.label}: ${level.anchor}`
+            : 'Pick the statement that best describes your team today.';
+    }
+
+    function setRating(principleId, score) {
+        assessment.ratings[principleId] = score;
+        saveAssessment();
+        renderSummary();
+    }
+
+    // ===== RADAR CHART =====
+
+    /**
+     * Point on the chart for axis `index` at `value` (0-5)
+     */
+    function getPoint(index, value) {
+        const angle = (Math.PI * 2 * index) / PRINCIPLES.length - Math.PI / 2;
+        const distance = (value / 5) * CHART_RADIUS;
+        const center = CHART_SIZE / 2;
+
+        return [
+            (center + Math.cos(angle) * distance).toFixed(1),
+            (center + Math.sin(angle) * distance).toFixed(1)
+        ];
+    }
+
+    function toPoints(values) {
+        return values.map((value, index) => getPoint(index, value).join(',')).join(' ');
+    }
+
+    /**
+     * SVG radar chart of all principle scores (unrated principles plot at 0)
+     */
+    function renderRadarChart() {
+        const scores = PRINCIPLES.map(principle => getScore(principle.id) || 0);
+        const weakest = getWeakestPrinciples().map(principle => principle.id);
+        const description = PRINCIPLES
+            .map(principle => `${escapeHtml(principle.title)}: ${getScore(principle.id) || 'not rated'}`)
+            .join('; ');
+
+        const grid = LEVELS.map(level => `
+            <polygon class="radar__grid" points="${toPoints(PRINCIPLES.map(() => level.score))}"/>`).join('');
+
+        const axes = PRINCIPLES.map((principle, index) => {
+            const [x, y] = getPoint(index, 5);
+            const [labelX, labelY] = getPoint(index, 6);
+            const weak = weakest.includes(principle.id) ? ' radar__label--weakest' : '';
+
+            return `
+            <line class="radar__axis" x1="${CHART_SIZE / 2}" y1="${CHART_SIZE / 2}" x2="${x}" y2="${y}"/>
+            <text class="radar__label${weak}" x="${labelX}" y="${labelY}" text-anchor="middle" dominant-baseline="middle">${String(principle.id).padStart(2, '0')}</text>`;
+        }).join('');
+
+        const dots = scores.map((score, index) => {
+            if (!score) return '';
+            const [x, y] = getPoint(index, score);
+            return `<circle class="radar__dot" cx="${x}" cy="${y}" r="4"/>`;
+        }).join('');
+
+        return `
+            <svg class="radar" viewBox="0 0 ${CHART_SIZE} ${CHART_SIZE}" role="img" aria-labelledby="radar-title radar-desc">
+                <title id="radar-title">Maturity profile across the seven principles</title>
+                <desc id="radar-desc">${description}</desc>
+                ${grid}
+                ${axes}
+                <polygon class="radar__area" points="${toPoints(scores)}"/>
+                ${dots}
+            </svg>`;
+    }
+
+    /**
+     * Numbered key for the chart axes, with each score
+     */
+    function renderLegend() {
+        return `
+            <ol class="radar-legend" aria-hidden="true">
+                ${PRINCIPLES.map(principle => `
+                    <li class="radar-legend__item">
+                        <span class="radar-legend__number">${String(principle.id).padStart(2, '0')}</span>
+                        <span class="radar-legend__title">${escapeHtml(principle.title)}</span>
+                        <span class="radar-legend__score">${getScore(principle.id) || '–'}</span>
+                    </li>
+                `).join('')}
+            </ol>`;
+    }
+
+    // ===== SUMMARY =====
+
+    /**
+     * Create the summary section after the principle cards
+     */
+    function createSummary() {
+        const cards = document.querySelector('.principles-cards');
+        if (!cards) return null;
+
+        const summary = document.createElement('section');
+        summary.className = 'assessment-summary';
+        summary.id = 'assessment-summary';
+        summary.setAttribute('aria-labelledby', 'assessment-summary-title');
+        summary.innerHTML = `
+            <div class="assessment-summary__header">
+                <h2 class="assessment-summary__title" id="assessment-summary-title">Your Maturity Profile</h2>
+                <p class="assessment-summary__progress" aria-live="polite"></p>
+            </div>
+            <div class="assessment-summary__body">
+                <div class="assessment-summary__chart"></div>
+                <div class="assessment-summary__next"></div>
+            </div>
+            <div class="assessment-summary__footer">
+                <label class="assessment-summary__respondent">
+                    <span>Name or team (included in exports)</span>
+                    <input type="text" class="form-input" name="respondent" maxlength="100" autocomplete="off">
+                </label>
+                <div class="assessment-summary__actions">
+                    <button type="button" class="principle-control-btn" data-export="json">Export JSON</button>
+                    <button type="button" class="principle-control-btn" data-export="csv">Export CSV</button>
+                    <button type="button" class="principle-control-btn" data-assessment-reset>Reset</button>
+                </div>
+            </div>
+        `;
+
+        cards.insertAdjacentElement('afterend', summary);
+
+        const respondent = summary.querySelector('input[name="respondent"]');
+        respondent.value = assessment.respondent;
+        respondent.addEventListener('change', () => {
+            assessment.respondent = respondent.value.trim();
+            saveAssessment();
+        });
+
+        summary.querySelector('[data-export="json"]').addEventListener('click', exportJson);
+        summary.querySelector('[data-export="csv"]').addEventListener('click', exportCsv);
+        summary.querySelector('[data-assessment-reset]').addEventListener('click', resetAssessment);
+
+        return summary;
+    }
+
+    /**
+     * Redraw the chart, progress and next steps
+     */
+    function renderSummary() {
+        const summary = document.getElementById('assessment-summary');
+        if (!summary) return;
+
+        const rated = PRINCIPLES.filter(principle => getScore(principle.id) !== null).length;
+        const weakest = getWeakestPrinciples();
+
+        summary.querySelector('.assessment-summary__progress').textContent =
+            `${rated} of ${PRINCIPLES.length} principles rated`;
+        summary.querySelector('.assessment-summary__chart').innerHTML = renderRadarChart() + renderLegend();
+
+        const next = summary.querySelector('.assessment-summary__next');
+        if (!weakest.length) {
+            next.innerHTML = `
+                <h3 class="assessment-summary__subtitle">Next Steps</h3>
+                <p class="assessment-summary__hint">Open any principle above and rate your team to see where to focus first.</p>
+            `;
+            return;
+        }
+
+        next.innerHTML = `
+            <h3 class="assessment-summary__subtitle">Next Steps</h3>
+            ${weakest.map(principle => `
+                <div class="assessment-summary__focus">
+                    <p class="assessment-summary__hint">
+                        Focus on <strong>${escapeHtml(principle.title)}</strong> (${getScore(principle.id)} – ${getLevel(getScore(principle.id)).label}). Start with these practices:
+                    </p>
+                    <ul class="principle-list">
+                        ${principle.applications.map(item => `<li><strong>${escapeHtml(item.label)}:</strong> ${escapeHtml(item.text)}</li>`).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // ===== EXPORT =====
+
+    function getResults() {
+        return PRINCIPLES.map(principle => {
+            const score = getScore(principle.id);
+            return {
+                id: principle.id,
+                principle: principle.title,
+                score,
+                level: score ? getLevel(score).label : null
+            };
+        });
+    }
+
+    /**
+     * Save a generated file through a temporary object URL
+     */
+    function downloadBlob(content, type, fileName) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function getFileName(extension) {
+        const slug = assessment.respondent.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `flow-maturity${slug ? `-${slug}` : ''}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    function exportJson() {
+        const data = {
+            respondent: assessment.respondent,
+            exportedAt: new Date().toISOString(),
+            scale: { min: 1, max: 5, levels: LEVELS.map(({ score, label }) => ({ score, label })) },
+            ratings: getResults()
+        };
+
+        downloadBlob(JSON.stringify(data, null, 2), 'application/json', getFileName('json'));
+    }
+
+    /**
+     * Quote a CSV cell when needed
+     */
+    function toCsvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function exportCsv() {
+        const rows = [['respondent', 'principle_id', 'principle', 'score', 'level']]
+            .concat(getResults().map(result => [assessment.respondent, result.id, result.principle, result.score, result.level]));
+
+        downloadBlob(rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n', 'text/csv', getFileName('csv'));
+    }
+
+    async function resetAssessment() {
+        const confirmed = window.FlowInnovation
+            ? await window.FlowInnovation.Modal.confirm({
+                title: 'Reset the assessment?',
+                message: 'This clears all seven ratings saved in this browser.',
+                confirmLabel: 'Reset',
+                cancelLabel: 'Keep ratings'
+            })
+            : true;
+        if (!confirmed) return;
+
+        assessment = { respondent: assessment.respondent, ratings: {}, updatedAt: null };
+        saveAssessment();
+        refresh();
+    }
+
+    // ===== INITIALIZATION =====
+
+    /**
+     * Sync every rating control and the summary with the current state
+     */
+    function refresh() {
+        PRINCIPLES.forEach(principle => {
+            const card = document.querySelector(`.principle-card[data-principle="${principle.id}"]`);
+            if (card) updateRating(card, principle);
+        });
+        renderSummary();
+    }
+
+    function initAssessment() {
+        if (!PRINCIPLES.length) return;
+
+        console.log('📊 Maturity assessment - Initializing...');
+
+        PRINCIPLES.forEach(principle => {
+            const card = document.querySelector(`.principle-card[data-principle="${principle.id}"]`);
+            if (card) renderRating(card, principle);
+        });
+
+        createSummary();
+        renderSummary();
+
+        console.log('✅ Maturity assessment - Initialized successfully');
+    }
+
+    // ===== AUTO-INITIALIZATION =====
+    // Runs after principles.js (loaded first) has rendered the cards
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAssessment);
+    } else {
+        initAssessment();
+    }
+
+    // ===== EXPORT FOR DEBUGGING =====
+    if (typeof window !== 'undefined') {
+        window.PrinciplesAssessment = {
+            getResults,
+            setRating: (principleId, score) => {
+                setRating(principleId, score);
+                refresh();
+            },
+            exportJson,
+            exportCsv,
+            reset: resetAssessment
+        };
+    }
+
+})();
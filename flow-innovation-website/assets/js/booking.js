@@ -0,0 +1,285 @@
+/**
+ * Flow Innovation - Consultation Booking
+ * Slot picker for the consultation modal: loads availability from the local
+ * server, shows it in the visitor's time zone and offers the .ics invite once booked
+ */
+
+(function() {
+    'use strict';
+
+    const AVAILABILITY_ENDPOINT = '/api/availability';
+
+    // Fallback for browsers without Intl.supportedValuesOf
+    const COMMON_TIME_ZONES = [
+        'UTC',
+        'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York', 'America/Sao_Paulo',
+        'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Europe/Helsinki',
+        'Africa/Johannesburg', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Tokyo',
+        'Australia/Sydney', 'Pacific/Auckland'
+    ];
+
+    // ===== TIME ZONE HELPERS =====
+
+    /**
+     * Visitor's IANA time zone, e.g. "Europe/Berlin"
+     */
+    function detectTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (e) {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Time zones offered in the picker, always including the detected one
+     */
+    function getTimeZones(detected) {
+        const zones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : COMMON_TIME_ZONES.slice();
+
+        return zones.includes(detected) ? zones : [detected].concat(zones);
+    }
+
+    /**
+     * Calendar day of a slot in the chosen zone ("2026-10-20"), used for grouping
+     */
+    function getDayKey(iso, timeZone) {
+        return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+            .format(new Date(iso));
+    }
+
+    function formatDay(iso, timeZone) {
+        return new Intl.DateTimeFormat(undefined, { timeZone, weekday: 'short', month: 'short', day: 'numeric' })
+            .format(new Date(iso));
+    }
+
+    function formatTime(iso, timeZone) {
+        return new Intl.DateTimeFormat(undefined, { timeZone, hour: 'numeric', minute: '2-digit' })
+            .format(new Date(iso));
+    }
+
+    // ===== SCHEDULER =====
+
+    /**
+     * Slot picker bound to one booking form
+     */
+    function createScheduler(form) {
+        const idPrefix = form.id || 'booking';
+        const detectedTimeZone = detectTimeZone();
+
+        const state = {
+            slots: [],
+            timeZone: detectedTimeZone,
+            selectedDay: null,
+            loading: false
+        };
+
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'form-group booking';
+        fieldset.innerHTML = `
+            <legend class="form-label">Choose a time</legend>
+            <div class="booking__timezone">
+                <label class="booking__timezone-label" for="${idPrefix}-timeZone">Times shown in</label>
+                <select class="form-input booking__timezone-select" id="${idPrefix}-timeZone" name="timeZone"></select>
+            </div>
+            <div class="booking__days" role="group" aria-label="Available days"></div>
+            <div class="booking__slots" role="radiogroup" aria-label="Available times"></div>
+            <p class="booking__status" aria-live="polite"></p>
+        `;
+
+        const timeZoneSelect = fieldset.querySelector('.booking__timezone-select');
+        const daysContainer = fieldset.querySelector('.booking__days');
+        const slotsContainer = fieldset.querySelector('.booking__slots');
+        const status = fieldset.querySelector('.booking__status');
+
+        getTimeZones(detectedTimeZone).forEach(zone => {
+            const option = new Option(zone.replace(/_/g, ' '), zone);
+            option.defaultSelected = zone === detectedTimeZone;
+            timeZoneSelect.appendChild(option);
+        });
+
+        /**
+         * Group open slots by day in the chosen time zone
+         */
+        function getDays() {
+            const days = new Map();
+
+            state.slots.forEach(slot => {
+                const key = getDayKey(slot.start, state.timeZone);
+                if (!days.has(key)) days.set(key, []);
+                days.get(key).push(slot);
+            });
+
+            return days;
+        }
+
+        function getCheckedStart() {
+            const checked = slotsContainer.querySelector('input[name="start"]:checked');
+            return checked ? checked.value : null;
+        }
+
+        /**
+         * Render day buttons and the time radios for the selected day
+         */
+        function render() {
+            const days = getDays();
+            const checkedStart = getCheckedStart();
+
+            daysContainer.innerHTML = '';
+            slotsContainer.innerHTML = '';
+
+            if (state.loading) {
+                status.textContent = 'Loading available times...';
+                return;
+            }
+
+            if (!days.size) {
+                status.textContent = 'No times are available right now. Please check back soon or leave a message below.';
+                return;
+            }
+
+            if (!days.has(state.selectedDay)) {
+                state.selectedDay = days.keys().next().value;
+            }
+
+            days.forEach((slots, key) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'booking__day';
+                button.dataset.day = key;
+                button.textContent = formatDay(slots[0].start, state.timeZone);
+                button.setAttribute('aria-pressed', String(key === state.selectedDay));
+                daysContainer.appendChild(button);
+            });
+
+            days.get(state.selectedDay).forEach((slot, index) => {
+                const label = document.createElement('label');
+                label.className = 'booking__slot';
+
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = 'start';
+                input.value = slot.start;
+                input.id = `${idPrefix}-slot-${index}`;
+                input.checked = slot.start === checkedStart;
+                if (index === 0) input.required = true;
+
+                const text = document.createElement('span');
+                text.textContent = formatTime(slot.start, state.timeZone);
+
+                label.appendChild(input);
+                label.appendChild(text);
+                slotsContainer.appendChild(label);
+            });
+
+            status.textContent = '';
+        }
+
+        /**
+         * Fetch open slots from the server
+         */
+        async function load() {
+            state.loading = true;
+            render();
+
+            try {
+                const response = await fetch(AVAILABILITY_ENDPOINT, { headers: { Accept: 'application/json' } });
+                if (!response.ok) throw new Error(`Availability request failed (${response.status})`);
+
+                const availability = await response.json();
+                state.slots = availability.slots || [];
+                state.loading = false;
+                render();
+            } catch (error) {
+                console.warn('Could not load consultation availability', error);
+                state.slots = [];
+                state.loading = false;
+                daysContainer.innerHTML = '';
+                slotsContainer.innerHTML = '';
+                status.textContent = 'We could not load available times. Please check your connection and try again.';
+            }
+        }
+
+        // ===== EVENTS =====
+
+        daysContainer.addEventListener('click', event => {
+            const button = event.target.closest('.booking__day');
+            if (!button) return;
+
+            state.selectedDay = button.dataset.day;
+            render();
+
+            const firstSlot = slotsContainer.querySelector('input');
+            if (firstSlot) firstSlot.focus();
+        });
+
+        timeZoneSelect.addEventListener('change', () => {
+            state.timeZone = timeZoneSelect.value;
+            render();
+        });
+
+        // form.reset() restores the default time zone; regroup the slots to match
+        form.addEventListener('reset', () => {
+            setTimeout(() => {
+                state.timeZone = timeZoneSelect.value;
+                render();
+            });
+        });
+
+        form.addEventListener('flow:submitted', event => {
+            const { payload, result } = event.detail;
+            if (!result || !result.inviteUrl) return;
+
+            event.preventDefault();
+            showBookingConfirmation(result, payload.timeZone || state.timeZone);
+            load();
+        });
+
+        form.addEventListener('flow:submit-failed', event => {
+            // Someone else took the slot: refresh so it disappears from the picker
+            if (event.detail.error.status === 409) load();
+        });
+
+        return { element: fieldset, load };
+    }
+
+    /**
+     * Confirm the booking and offer the calendar invite
+     */
+    function showBookingConfirmation(booking, timeZone) {
+        const when = `${formatDay(booking.start, timeZone)} at ${formatTime(booking.start, timeZone)}`;
+        const message = `Your consultation is booked for ${when} (${timeZone.replace(/_/g, ' ')}).`;
+
+        window.FlowInnovation.showNotification(message, 'success', {
+            duration: 0,
+            actions: [{
+                label: 'Download invite (.ics)',
+                onClick: () => window.FlowInnovation.downloadFile(booking.inviteUrl, 'flow-innovation-consultation.ics')
+            }]
+        });
+    }
+
+    /**
+     * Add the slot picker to a booking form, before its submit button
+     */
+    function mount(form) {
+        const scheduler = createScheduler(form);
+        const submitButton = form.querySelector('button[type="submit"]');
+
+        form.insertBefore(scheduler.element, submitButton);
+        scheduler.load();
+
+        return scheduler;
+    }
+
+    // ===== EXPORT =====
+    if (typeof window !== 'undefined') {
+        window.FlowBooking = {
+            mount,
+            detectTimeZone
+        };
+    }
+
+})();
@@ -0,0 +1,510 @@
+/**
+ * Principles Page - Flashcard Study Mode
+ * Cards generated from principles-data.js, scheduled with SM-2 spaced
+ * repetition in localStorage, with a daily review queue and streak
+ */
+
+(function() {
+    'use strict';
+
+    // ===== CONFIGURATION =====
+    const STORAGE_KEY = 'flowInnovation_flashcards';
+    const MODAL_ID = 'flashcards';
+    const NEW_CARDS_PER_DAY = 10;
+    const PRINCIPLES = window.FlowPrinciples || [];
+
+    /**
+     * Recall grades; `quality` is the SM-2 response quality (0-5)
+     */
+    const GRADES = [
+        { key: '1', id: 'again', label: 'Again', quality: 1 },
+        { key: '2', id: 'hard', label: 'Hard', quality: 3 },
+        { key: '3', id: 'good', label: 'Good', quality: 4 },
+        { key: '4', id: 'easy', label: 'Easy', quality: 5 }
+    ];
+
+    // ===== STATE =====
+    const CARDS = generateCards();
+    let progress = loadProgress();
+
+    // Current session
+    let queue = [];
+    let reviewedThisSession = 0;
+    let revealed = false;
+
+    // ===== CARD GENERATION =====
+
+    /**
+     * Plain text for a card face (drops the *emphasis* markers)
+     */
+    function plain(text) {
+        return String(text).replace(/\*/g, '');
+    }
+
+    /**
+     * Title, preview, quote and "What This Eliminates" cards for every principle.
+     * Ids only depend on the principle id and item position, so progress survives copy edits.
+     */
+    function generateCards() {
+        const cards = [];
+
+        PRINCIPLES.forEach(principle => {
+            const title = plain(principle.title);
+
+            cards.push({
+                id: `${principle.id}-title`,
+                principleId: principle.id,
+                prompt: 'What is the core idea of this principle?',
+                front: title,
+                back: plain(principle.summary)
+            });
+
+            cards.push({
+                id: `${principle.id}-preview`,
+                principleId: principle.id,
+                prompt: 'Which principle is this?',
+                front: plain(principle.summary),
+                back: title
+            });
+
+            cards.push({
+                id: `${principle.id}-quote`,
+                principleId: principle.id,
+                prompt: 'Which principle does this quote illustrate?',
+                front: `"${plain(principle.quote)}"`,
+                back: title
+            });
+
+            principle.eliminates.forEach((item, index) => {
+                cards.push({
+                    id: `${principle.id}-eliminates-${index + 1}`,
+                    principleId: principle.id,
+                    prompt: 'Which principle eliminates this?',
+                    front: plain(item),
+                    back: title
+                });
+            });
+        });
+
+        return cards;
+    }
+
+    // ===== DATES =====
+
+    /**
+     * Local calendar day as YYYY-MM-DD
+     */
+    function toDay(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    function today() {
+        return toDay(new Date());
+    }
+
+    function addDays(day, count) {
+        const [year, month, date] = day.split('-').map(Number);
+        return toDay(new Date(year, month - 1, date + count));
+    }
+
+    // ===== PERSISTENCE =====
+
+    /**
+     * Load saved progress: { cards: { id: schedule }, days: { day: reviews }, introduced: { day, count } }
+     */
+    function loadProgress() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && typeof saved.cards === 'object') {
+                return {
+                    cards: saved.cards,
+                    days: saved.days || {},
+                    introduced: saved.introduced || { day: null, count: 0 }
+                };
+            }
+        } catch (e) {
+            console.warn('Could not read saved flashcard progress');
+        }
+        return { cards: {}, days: {}, introduced: { day: null, count: 0 } };
+    }
+
+    function saveProgress() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+        } catch (e) {
+            console.warn('Could not save flashcard progress to localStorage');
+        }
+    }
+
+    // ===== SCHEDULING (SM-2) =====
+
+    /**
+     * Next schedule for a card after a review of the given quality.
+     * Failed recalls (quality < 3) restart the card and keep it due today.
+     */
+    function schedule(previous, quality, day = today()) {
+        const next = previous
+            ? { ...previous }
+            : { ease: 2.5, interval: 0, repetitions: 0, lapses: 0 };
+
+        if (quality < 3) {
+            next.repetitions = 0;
+            next.interval = 0;
+            next.lapses += 1;
+        } else {
+            if (next.repetitions === 0) {
+                next.interval = 1;
+            } else if (next.repetitions === 1) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(next.interval * next.ease);
+            }
+            next.repetitions += 1;
+        }
+
+        next.ease = Math.max(1.3, next.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        next.due = addDays(day, next.interval);
+        next.lastReviewed = day;
+
+        return next;
+    }
+
+    function newCardsLeftToday() {
+        const introducedToday = progress.introduced.day === today() ? progress.introduced.count : 0;
+        return Math.max(0, NEW_CARDS_PER_DAY - introducedToday);
+    }
+
+    /**
+     * Today's queue: due reviews (oldest first), then new cards up to the daily limit
+     */
+    function getDailyQueue() {
+        const day = today();
+
+        const due = CARDS
+            .filter(card => progress.cards[card.id] && progress.cards[card.id].due <= day)
+            .sort((a, b) => progress.cards[a.id].due.localeCompare(progress.cards[b.id].due));
+
+        const fresh = CARDS
+            .filter(card => !progress.cards[card.id])
+            .slice(0, newCardsLeftToday());
+
+        return [...due, ...fresh];
+    }
+
+    /**
+     * Consecutive days with at least one review, ending today (or yesterday if not studied yet)
+     */
+    function getStreak() {
+        let day = progress.days[today()] ? today() : addDays(today(), -1);
+        let streak = 0;
+
+        while (progress.days[day]) {
+            streak++;
+            day = addDays(day, -1);
+        }
+
+        return streak;
+    }
+
+    function getNextDueDay() {
+        const upcoming = Object.values(progress.cards)
+            .map(state => state.due)
+            .filter(due => due > today())
+            .sort();
+        return upcoming[0] || null;
+    }
+
+    /**
+     * Record a grade for the card at the front of the queue
+     */
+    function gradeCurrent(grade) {
+        const card = queue.shift();
+        if (!card) return;
+
+        const day = today();
+        const isNew = !progress.cards[card.id];
+
+        progress.cards[card.id] = schedule(progress.cards[card.id], grade.quality, day);
+        progress.days[day] = (progress.days[day] || 0) + 1;
+
+        if (isNew) {
+            progress.introduced = {
+                day,
+                count: (progress.introduced.day === day ? progress.introduced.count : 0) + 1
+            };
+        }
+
+        // Forgotten cards come back at the end of this session
+        if (grade.quality < 3) {
+            queue.push(card);
+        }
+
+        reviewedThisSession++;
+        saveProgress();
+    }
+
+    // ===== RENDERING =====
+
+    function formatInterval(days) {
+        if (days === 0) return 'today';
+        if (days === 1) return '1 day';
+        if (days < 30) return `${days} days`;
+        return `${Math.round(days / 30)} mo`;
+    }
+
+    function formatDay(day) {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(year, month - 1, date).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function getBody() {
+        return document.querySelector(`#${MODAL_ID}-modal .flashcards`);
+    }
+
+    /**
+     * Overview: today's queue, streak and overall progress
+     */
+    function renderOverview() {
+        const body = getBody();
+        if (!body) return;
+
+        const dailyQueue = getDailyQueue();
+        const newCount = dailyQueue.filter(card => !progress.cards[card.id]).length;
+        const reviewCount = dailyQueue.length - newCount;
+        const learned = CARDS.filter(card => progress.cards[card.id]).length;
+        const streak = getStreak();
+        const nextDue = getNextDueDay();
+
+        body.innerHTML = `
+            <div class="flashcards__stats">
+                <div class="flashcards__stat">
+                    <span class="flashcards__stat-value">${reviewCount}</span>
+                    <span class="flashcards__stat-label">Reviews due</span>
+                </div>
+                <div class="flashcards__stat">
+                    <span class="flashcards__stat-value">${newCount}</span>
+                    <span class="flashcards__stat-label">New today</span>
+                </div>
+                <div class="flashcards__stat">
+                    <span class="flashcards__stat-value">🔥 ${streak}</span>
+                    <span class="flashcards__stat-label">Day streak</span>
+                </div>
+            </div>
+            <p class="flashcards__progress-text">${learned} of ${CARDS.length} cards studied${reviewedThisSession ? ` · ${reviewedThisSession} reviewed this session` : ''}</p>
+            ${dailyQueue.length
+                ? `<button type="button" class="btn btn--primary flashcards__start" data-flashcards-start>Start review (${dailyQueue.length})</button>`
+                : `<p class="flashcards__done">You're done for today.${nextDue ? ` Next review: ${escapeHtml(formatDay(nextDue))}.` : ''}</p>`}
+        `;
+
+        updateLaunchButton();
+    }
+
+    /**
+     * Front of the current card, or its answer with the grade buttons
+     */
+    function renderCard() {
+        const body = getBody();
+        const card = queue[0];
+        if (!body) return;
+
+        if (!card) {
+            renderOverview();
+            return;
+        }
+
+        const previous = progress.cards[card.id];
+        const grades = GRADES.map(grade => `
+                <button type="button" class="flashcards__grade flashcards__grade--${grade.id}" data-grade="${grade.id}">
+                    <span class="flashcards__grade-label">${grade.label}</span>
+                    <span class="flashcards__grade-interval">${formatInterval(schedule(previous, grade.quality).interval)}</span>
+                    <kbd>${grade.key}</kbd>
+                </button>`).join('');
+
+        body.innerHTML = `
+            <p class="flashcards__counter">${queue.length} left · ${previous ? 'Review' : 'New card'}</p>
+            <div class="flashcards__card" aria-live="polite">
+                <p class="flashcards__prompt">${escapeHtml(card.prompt)}</p>
+                <p class="flashcards__front">${escapeHtml(card.front)}</p>
+                ${revealed ? `<hr class="flashcards__divider"><p class="flashcards__back">${escapeHtml(card.back)}</p>` : ''}
+            </div>
+            ${revealed
+                ? `<div class="flashcards__grades" role="group" aria-label="How well did you remember?">${grades}
+                   </div>`
+                : '<button type="button" class="btn btn--primary flashcards__reveal" data-flashcards-reveal>Show answer <kbd>Space</kbd></button>'}
+        `;
+
+        const focusTarget = body.querySelector(revealed ? '[data-grade="good"]' : '[data-flashcards-reveal]');
+        if (focusTarget) focusTarget.focus();
+    }
+
+    function startSession() {
+        queue = getDailyQueue();
+        revealed = false;
+        renderCard();
+    }
+
+    function reveal() {
+        if (!queue.length || revealed) return;
+        revealed = true;
+        renderCard();
+    }
+
+    function grade(gradeId) {
+        const chosen = GRADES.find(item => item.id === gradeId);
+        if (!chosen || !revealed) return;
+
+        gradeCurrent(chosen);
+        revealed = false;
+        renderCard();
+    }
+
+    /**
+     * Show how many cards are waiting on the launch button
+     */
+    function updateLaunchButton() {
+        const badge = document.querySelector('.flashcards-launch__count');
+        if (!badge) return;
+
+        const waiting = getDailyQueue().length;
+        badge.textContent = waiting;
+        badge.hidden = waiting === 0;
+    }
+
+    // ===== MODAL =====
+
+    /**
+     * Build the study modal using the shared modal markup from main.js
+     */
+    function buildModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal modal--flashcards';
+        modal.id = `${MODAL_ID}-modal`;
+        modal.innerHTML = `
+            <div class="modal__content">
+                <div class="modal__header">
+                    <h3 class="modal__title">Study the Principles</h3>
+                    <button type="button" class="modal__close" data-close-modal>
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M18 6L6 18M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="modal__body">
+                    <p class="modal__description">Flashcards with spaced repetition: grade how well you remembered and each card comes back just before you would forget it.</p>
+                    <div class="flashcards"></div>
+                </div>
+            </div>
+        `;
+
+        modal.addEventListener('click', event => {
+            if (event.target.closest('[data-flashcards-start]')) startSession();
+            if (event.target.closest('[data-flashcards-reveal]')) reveal();
+
+            const gradeButton = event.target.closest('[data-grade]');
+            if (gradeButton) grade(gradeButton.dataset.grade);
+        });
+
+        modal.addEventListener('keydown', event => {
+            if (!queue.length || event.target.matches('input, textarea')) return;
+
+            if ((event.key === ' ' || event.key === 'Enter') && !revealed) {
+                event.preventDefault();
+                reveal();
+                return;
+            }
+
+            const shortcut = GRADES.find(item => item.key === event.key);
+            if (shortcut && revealed) {
+                event.preventDefault();
+                grade(shortcut.id);
+            }
+        });
+
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    function openStudyMode() {
+        const Modal = window.FlowInnovation && window.FlowInnovation.Modal;
+        if (!Modal) return;
+
+        queue = [];
+        revealed = false;
+        renderOverview();
+        Modal.open(MODAL_ID);
+    }
+
+    // ===== INITIALIZATION =====
+
+    /**
+     * Add "Study Flashcards" to the controls created by principles.js
+     */
+    function addLaunchButton() {
+        const controls = document.querySelector('.principle-controls');
+        if (!controls) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'principle-control-btn flashcards-launch';
+        button.id = 'study-flashcards';
+        button.innerHTML = `
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <rect x="3" y="6" width="14" height="14" rx="2"/>
+                <path d="M7 2h12a2 2 0 0 1 2 2v12"/>
+            </svg>
+            Study Flashcards
+            <span class="flashcards-launch__count" aria-label="cards due today" hidden></span>
+        `;
+        button.addEventListener('click', openStudyMode);
+
+        controls.appendChild(button);
+    }
+
+    function initFlashcards() {
+        if (!CARDS.length) return;
+
+        addLaunchButton();
+        updateLaunchButton();
+    }
+
+    // ===== AUTO-INITIALIZATION =====
+
+    // Registered right away: main.js opens #modal=flashcards on DOMContentLoaded, before initFlashcards
+    const SharedModal = window.FlowInnovation && window.FlowInnovation.Modal;
+    if (SharedModal && CARDS.length) {
+        SharedModal.register(MODAL_ID, () => {
+            const modal = buildModal();
+            renderOverview();
+            return modal;
+        });
+    }
+
+    // Runs after principles.js, so the controls already exist
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initFlashcards);
+    } else {
+        initFlashcards();
+    }
+
+    // ===== EXPORT FOR DEBUGGING =====
+    if (typeof window !== 'undefined') {
+        window.PrinciplesFlashcards = {
+            open: openStudyMode,
+            getCards: () => CARDS.slice(),
+            getDailyQueue,
+            getStreak,
+            schedule
+        };
+    }
+
+})();
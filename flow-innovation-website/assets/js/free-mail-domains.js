@@ -0,0 +1,23 @@
+/**
+ * Flow Innovation - Free-Mail Domains
+ * Consumer email providers refused by fields marked `businessEmail` in pathways.js.
+ * Shared by the form validator (main.js) and lead validation on the server (server/leads.js).
+ */
+
+(function(root) {
+    'use strict';
+
+    const FREE_MAIL_DOMAINS = [
+        'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com',
+        'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+        'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com',
+        'gmx.com', 'gmx.de', 'mail.com', 'yandex.com', 'zoho.com', 'web.de'
+    ];
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = FREE_MAIL_DOMAINS;
+    } else {
+        root.FlowFreeMailDomains = FREE_MAIL_DOMAINS;
+    }
+
+})(typeof self !== 'undefined' ? self : this);
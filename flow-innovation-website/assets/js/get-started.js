@@ -0,0 +1,409 @@
+/**
+ * Get Started Page - Pathway Recommendation Wizard
+ * Short diagnostic that scores answers and opens the matching pathway form
+ */
+
+(function() {
+    'use strict';
+
+    // ===== CONFIGURATION =====
+
+    const STORAGE_KEY = 'flowInnovation_pathwayWizard';
+
+    const PATHWAY_NAMES = {
+        leader: 'Innovation Leaders',
+        team: 'Innovation Teams',
+        executive: 'Executive Leaders'
+    };
+
+    /**
+     * Questions and scoring. Each option adds `scores` to the pathways it suits;
+     * `reason` explains the recommendation and `prefill` seeds the pathway form.
+     */
+    const QUESTIONS = [
+        {
+            id: 'size',
+            title: 'How large is your organization?',
+            options: [
+                { value: 'small', label: 'Under 200 people', scores: { team: 2, leader: 1 }, reason: 'a smaller organization moves fastest when the team itself owns the practice', prefill: { organizationSize: 'Under 200' } },
+                { value: 'mid', label: '200 - 1,000 people', scores: { leader: 2, team: 1 }, reason: 'at your size one leader can shape how innovation works across the business', prefill: { organizationSize: '200 - 1,000' } },
+                { value: 'large', label: '1,000 - 10,000 people', scores: { leader: 2, executive: 1 }, reason: 'larger organizations need someone orchestrating innovation across units', prefill: { organizationSize: '1,000 - 10,000' } },
+                { value: 'enterprise', label: '10,000+ people', scores: { executive: 2, leader: 1 }, reason: 'at enterprise scale the operating model is set at the top', prefill: { organizationSize: '10,000+' } }
+            ]
+        },
+        {
+            id: 'role',
+            title: 'Which best describes your role?',
+            options: [
+                { value: 'executive', label: 'CEO, COO, CFO or executive team member', scores: { executive: 4 }, reason: 'you set strategy and allocate resources at executive level', prefill: { role: 'Executive' } },
+                { value: 'innovation-lead', label: 'Head of innovation, strategy or transformation', scores: { leader: 4 }, reason: 'you lead the innovation agenda', prefill: { role: 'Head of Innovation' } },
+                { value: 'practitioner', label: 'Innovation, product or design team member', scores: { team: 4 }, reason: 'you apply the methodology hands-on', prefill: { role: 'Innovation Practitioner' } },
+                { value: 'manager', label: 'Business unit or functional leader', scores: { leader: 2, executive: 1 }, reason: 'you can sponsor innovation inside your unit', prefill: { role: 'Business Unit Leader' } }
+            ]
+        },
+        {
+            id: 'maturity',
+            title: 'How would you describe innovation in your organization today?',
+            options: [
+                { value: 'none', label: 'Just getting started - no dedicated effort yet', scores: { executive: 2, leader: 1 }, reason: 'starting from scratch calls for a clear strategic mandate first' },
+                { value: 'theater', label: 'Busy but mostly theater - labs and hackathons, few results', scores: { leader: 3, executive: 1 }, reason: 'turning innovation theater into results is the core of the leader package' },
+                { value: 'pockets', label: 'Pockets of success that do not scale', scores: { leader: 2, team: 2 }, reason: 'scaling isolated wins needs shared principles and practices' },
+                { value: 'established', label: 'An established practice we want to sharpen', scores: { team: 3 }, reason: 'an established practice benefits most from deeper team skills' }
+            ]
+        },
+        {
+            id: 'blockers',
+            title: 'What gets in the way most?',
+            hint: 'Choose all that apply.',
+            multiple: true,
+            options: [
+                { value: 'sponsorship', label: 'Executive buy-in and sponsorship', scores: { executive: 2, leader: 1 }, reason: 'sponsorship gaps are solved at leadership level' },
+                { value: 'roi', label: 'Justifying budget and ROI', scores: { executive: 2 }, reason: 'the executive brief includes ROI and business case templates' },
+                { value: 'resistance', label: 'Resistance from the core business', scores: { leader: 2 }, reason: 'working with organizational forces is what the leader package addresses' },
+                { value: 'skills', label: 'Team skills and ways of working', scores: { team: 2 }, reason: 'the team resources focus on practical exercises and skills' },
+                { value: 'implementation', label: 'Good ideas die during implementation', scores: { leader: 1, team: 1 }, reason: 'implementation roadmaps and guides keep ideas alive past the pilot' }
+            ]
+        }
+    ];
+
+    // ===== STATE MANAGEMENT =====
+
+    let state = { step: 0, answers: {} };
+
+    const wizard = document.getElementById('pathway-wizard');
+
+    /**
+     * Save and restore wizard state in sessionStorage so a refresh keeps answers
+     */
+    function saveState() {
+        try {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (e) {
+            console.warn('Could not save wizard state to sessionStorage');
+        }
+    }
+
+    function restoreState() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+            if (saved && typeof saved.step === 'number' && saved.answers) {
+                state = {
+                    step: Math.min(Math.max(saved.step, 0), QUESTIONS.length),
+                    answers: saved.answers
+                };
+            }
+        } catch (e) {
+            console.warn('Could not restore wizard state from sessionStorage');
+        }
+    }
+
+    // ===== SCORING =====
+
+    /**
+     * Options the visitor picked for a question
+     */
+    function getSelectedOptions(question) {
+        const answer = state.answers[question.id];
+        const values = Array.isArray(answer) ? answer : [answer];
+        return question.options.filter(option => values.includes(option.value));
+    }
+
+    /**
+     * Score the answers and return the winning pathway with its reasoning
+     */
+    function getRecommendation() {
+        const scores = { leader: 0, team: 0, executive: 0 };
+
+        QUESTIONS.forEach(question => {
+            getSelectedOptions(question).forEach(option => {
+                Object.entries(option.scores).forEach(([pathway, points]) => {
+                    scores[pathway] += points;
+                });
+            });
+        });
+
+        // Ties go to the first pathway in card order
+        const pathway = Object.keys(scores).reduce((best, key) => (scores[key] > scores[best] ? key : best));
+
+        const reasons = [];
+        QUESTIONS.forEach(question => {
+            getSelectedOptions(question).forEach(option => {
+                if (option.scores[pathway] && option.reason) {
+                    reasons.push(option.reason);
+                }
+            });
+        });
+
+        return { pathway, scores, reasons };
+    }
+
+    /**
+     * Form values we can fill in from the answers
+     */
+    function getPrefill() {
+        const prefill = {};
+
+        QUESTIONS.forEach(question => {
+            getSelectedOptions(question).forEach(option => {
+                Object.assign(prefill, option.prefill || {});
+            });
+        });
+
+        return prefill;
+    }
+
+    // ===== RENDERING =====
+
+    /**
+     * Render progress indicator shared by every step
+     */
+    function renderProgress() {
+        const total = QUESTIONS.length;
+        const current = Math.min(state.step + 1, total);
+        const percent = state.step >= total ? 100 : Math.round((state.step / total) * 100);
+        const label = state.step >= total ? 'Your recommendation' : `Step ${current} of ${total}`;
+
+        return `
+            <div class="pathway-wizard__progress">
+                <span class="pathway-wizard__progress-label">${label}</span>
+                <div class="pathway-wizard__progress-track" role="progressbar" aria-label="Wizard progress"
+                     aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+                    <div class="pathway-wizard__progress-bar" style="width: ${percent}%;"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a question step
+     */
+    function renderQuestion(question) {
+        const inputType = question.multiple ? 'checkbox' : 'radio';
+        const selected = getSelectedOptions(question).map(option => option.value);
+
+        const options = question.options.map(option => `
+            <label class="pathway-wizard__option">
+                <input type="${inputType}" name="${question.id}" value="${option.value}"${selected.includes(option.value) ? ' checked' : ''}>
+                <span>${option.label}</span>
+            </label>
+        `).join('');
+
+        return `
+            <fieldset class="pathway-wizard__step">
+                <legend class="pathway-wizard__question" tabindex="-1">${question.title}</legend>
+                ${question.hint ? `<p class="pathway-wizard__hint">${question.hint}</p>` : ''}
+                <div class="pathway-wizard__options">${options}</div>
+                <p class="form-error pathway-wizard__error" id="pathway-wizard-error" hidden></p>
+            </fieldset>
+            <div class="pathway-wizard__nav">
+                <button type="button" class="btn btn--secondary" data-wizard-back${state.step === 0 ? ' disabled' : ''}>Back</button>
+                <button type="button" class="btn btn--primary" data-wizard-next>
+                    ${state.step === QUESTIONS.length - 1 ? 'See my recommendation' : 'Next'}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the recommendation step
+     */
+    function renderResult() {
+        const { pathway, reasons } = getRecommendation();
+        const config = (window.FlowPathways || {})[pathway];
+        const ctaLabel = config ? config.submitLabel : 'Continue';
+
+        const reasonItems = reasons.map(reason => `<li>${reason.charAt(0).toUpperCase()}${reason.slice(1)}.</li>`).join('');
+
+        return `
+            <div class="pathway-wizard__step pathway-wizard__result">
+                <p class="pathway-wizard__eyebrow">We recommend</p>
+                <h3 class="pathway-wizard__question" tabindex="-1">${PATHWAY_NAMES[pathway]}</h3>
+                <p class="pathway-wizard__hint">Why this pathway fits:</p>
+                <ul class="pathway-wizard__reasons">${reasonItems}</ul>
+            </div>
+            <div class="pathway-wizard__nav">
+                <button type="button" class="btn btn--secondary" data-wizard-back>Back</button>
+                <button type="button" class="btn btn--secondary" data-wizard-restart>Start over</button>
+                <button type="button" class="btn btn--primary" data-wizard-open="${pathway}">${ctaLabel}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the current step and move focus to its heading
+     */
+    function render(moveFocus = false) {
+        if (!wizard) return;
+
+        const isResult = state.step >= QUESTIONS.length;
+        wizard.innerHTML = renderProgress() + (isResult ? renderResult() : renderQuestion(QUESTIONS[state.step]));
+
+        highlightRecommendedCard(isResult ? getRecommendation().pathway : null);
+
+        if (moveFocus) {
+            const heading = wizard.querySelector('.pathway-wizard__question');
+            if (heading) heading.focus();
+        }
+    }
+
+    /**
+     * Mark the recommended pathway card below the wizard
+     */
+    function highlightRecommendedCard(pathway) {
+        document.querySelectorAll('.pathway-card--recommended').forEach(card => {
+            card.classList.remove('pathway-card--recommended');
+        });
+
+        if (!pathway) return;
+
+        const button = document.querySelector(`.pathway-card [data-modal="${pathway}"]`);
+        if (button) {
+            button.closest('.pathway-card').classList.add('pathway-card--recommended');
+        }
+    }
+
+    // ===== NAVIGATION =====
+
+    /**
+     * Read the current step's inputs into state
+     */
+    function captureAnswer(question) {
+        const inputs = Array.from(wizard.querySelectorAll(`input[name="${question.id}"]:checked`));
+        const values = inputs.map(input => input.value);
+
+        if (question.multiple) {
+            state.answers[question.id] = values;
+        } else if (values.length) {
+            state.answers[question.id] = values[0];
+        } else {
+            delete state.answers[question.id];
+        }
+
+        return values.length > 0;
+    }
+
+    function goNext() {
+        const question = QUESTIONS[state.step];
+
+        if (!captureAnswer(question)) {
+            const error = wizard.querySelector('#pathway-wizard-error');
+            error.textContent = question.multiple ? 'Please choose at least one option.' : 'Please choose an option.';
+            error.hidden = false;
+            wizard.querySelector('input').focus();
+            return;
+        }
+
+        state.step++;
+        saveState();
+        render(true);
+    }
+
+    function goBack() {
+        if (state.step < QUESTIONS.length) {
+            captureAnswer(QUESTIONS[state.step]);
+        }
+
+        state.step = Math.max(state.step - 1, 0);
+        saveState();
+        render(true);
+    }
+
+    function restart() {
+        state = { step: 0, answers: {} };
+        saveState();
+        render(true);
+    }
+
+    /**
+     * Open the recommended pathway's modal with known answers filled in
+     */
+    function openRecommendedPathway(pathway, trigger) {
+        const FlowInnovation = window.FlowInnovation;
+        if (!FlowInnovation || !FlowInnovation.Modal.open(pathway, { trigger })) return;
+
+        const form = document.getElementById(`${pathway}-form`);
+        if (!form) return;
+
+        Object.entries(getPrefill()).forEach(([name, value]) => {
+            const field = form.elements[name];
+            if (!field || field.value) return;
+
+            // Prefilled answers become the field defaults, so they survive a reset
+            if (field.tagName === 'SELECT') {
+                Array.from(field.options).forEach(option => {
+                    option.defaultSelected = option.value === value;
+                });
+            } else {
+                field.defaultValue = value;
+            }
+            field.value = value;
+        });
+    }
+
+    /**
+     * Delegate clicks for all wizard buttons
+     */
+    function handleWizardClick(event) {
+        const button = event.target.closest('button');
+        if (!button || button.disabled) return;
+
+        if (button.hasAttribute('data-wizard-next')) {
+            goNext();
+        } else if (button.hasAttribute('data-wizard-back')) {
+            goBack();
+        } else if (button.hasAttribute('data-wizard-restart')) {
+            restart();
+        } else if (button.hasAttribute('data-wizard-open')) {
+            openRecommendedPathway(button.getAttribute('data-wizard-open'), button);
+        }
+    }
+
+    /**
+     * Keep answers as the visitor changes them, before they press Next
+     */
+    function handleWizardChange(event) {
+        if (state.step >= QUESTIONS.length || !event.target.matches('input')) return;
+
+        captureAnswer(QUESTIONS[state.step]);
+        saveState();
+
+        const error = wizard.querySelector('#pathway-wizard-error');
+        if (error) error.hidden = true;
+    }
+
+    // ===== INITIALIZATION =====
+
+    /**
+     * Initialize get started page functionality
+     */
+    function initGetStartedPage() {
+        if (!wizard) return;
+
+        console.log('🧭 Get Started page - Initializing...');
+
+        restoreState();
+        render();
+
+        wizard.addEventListener('click', handleWizardClick);
+        wizard.addEventListener('change', handleWizardChange);
+
+        console.log('✅ Get Started page - Initialized successfully');
+    }
+
+    // ===== AUTO-INITIALIZATION =====
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initGetStartedPage);
+    } else {
+        initGetStartedPage();
+    }
+
+    // ===== EXPORT FOR DEBUGGING =====
+    if (typeof window !== 'undefined') {
+        window.GetStartedPage = {
+            getRecommendation,
+            restart
+        };
+    }
+
+})();
@@ -0,0 +1,273 @@
+/**
+ * Flow Innovation - Printable Handbook
+ * Assembles the philosophy article and the seven principles (fully expanded)
+ * into one document for the browser's print / "Save as PDF" pipeline
+ */
+
+(function() {
+    'use strict';
+
+    // Source of the philosophy chapter; its .article-section blocks are copied as-is
+    const PHILOSOPHY_URL = 'philosophy.html';
+
+    const PRINCIPLES = window.FlowPrinciples || [];
+
+    // ===== HELPERS =====
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Escape principle text and turn *word* into emphasis
+     */
+    function formatText(text) {
+        return escapeHtml(text).replace(/\*([^*]+)\*/g, '<em>$1</em>');
+    }
+
+    /**
+     * Absolute URL of a page on this site, as printed under links
+     */
+    function siteUrl(path) {
+        return new URL(path, window.location.href).href;
+    }
+
+    /**
+     * Move every heading in `root` one level down (h2 -> h3 ...), so fetched
+     * page sections sit under the handbook's chapter headings
+     */
+    function demoteHeadings(root) {
+        root.querySelectorAll('h2, h3, h4, h5').forEach(heading => {
+            const level = Number(heading.tagName[1]) + 1;
+            const replacement = document.createElement(`h${level}`);
+
+            Array.from(heading.attributes).forEach(attr => replacement.setAttribute(attr.name, attr.value));
+            replacement.innerHTML = heading.innerHTML;
+            heading.replaceWith(replacement);
+        });
+    }
+
+    // ===== CHAPTERS =====
+
+    /**
+     * Philosophy chapter sections, fetched from philosophy.html
+     */
+    async function loadPhilosophySections() {
+        const response = await fetch(PHILOSOPHY_URL);
+        if (!response.ok) {
+            throw new Error(`Could not load ${PHILOSOPHY_URL} (${response.status})`);
+        }
+
+        const source = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+        return Array.from(source.querySelectorAll('.article-section[id]')).map(section => {
+            const copy = document.importNode(section, true);
+            const title = copy.querySelector('.article-section__title');
+
+            copy.className = 'handbook-section';
+            copy.id = `philosophy-${section.id}`;
+            if (title) title.className = 'handbook-section__title';
+
+            demoteHeadings(copy);
+
+            copy.querySelectorAll('blockquote').forEach(quote => quote.classList.add('handbook-pullquote'));
+            copy.insertAdjacentHTML('beforeend', `
+                <p class="handbook-source">Read online: <a href="${escapeHtml(siteUrl(`${PHILOSOPHY_URL}#${section.id}`))}">${escapeHtml(title ? title.textContent.trim() : section.id)}</a></p>`);
+
+            return copy;
+        });
+    }
+
+    /**
+     * Markup for one principle with every section expanded
+     */
+    function renderPrinciple(principle) {
+        const applications = principle.applications.map(item => `
+                <li><strong>${formatText(item.label)}:</strong> ${formatText(item.text)}</li>`).join('');
+
+        const eliminates = principle.eliminates.map(item => `
+                <li>${formatText(item)}</li>`).join('');
+
+        return `
+            <section class="handbook-section handbook-principle" id="principle-${principle.id}">
+                <h3 class="handbook-section__title">
+                    <span class="handbook-principle__number">${String(principle.id).padStart(2, '0')}</span>
+                    ${formatText(principle.title)}
+                </h3>
+                <p class="handbook-lead">${formatText(principle.summary)}</p>
+
+                <h4>Core Practice</h4>
+                <p>${formatText(principle.practice)}</p>
+                <blockquote class="handbook-pullquote">"${formatText(principle.quote)}"</blockquote>
+
+                <h4>Business Application</h4>
+                <ul>${applications}
+                </ul>
+
+                <h4>What This Eliminates</h4>
+                <ul class="handbook-eliminates">${eliminates}
+                </ul>
+
+                <p class="handbook-source">Read online: <a href="${escapeHtml(siteUrl(`principles.html#principle-${principle.id}`))}">${formatText(principle.title)}</a></p>
+            </section>`;
+    }
+
+    function createChapter(id, number, title) {
+        const chapter = document.createElement('section');
+        chapter.className = 'handbook-chapter';
+        chapter.id = id;
+        chapter.innerHTML = `
+            <p class="handbook-chapter__label">Part ${number}</p>
+            <h2 class="handbook-chapter__title">${escapeHtml(title)}</h2>`;
+        return chapter;
+    }
+
+    // ===== COVER & CONTENTS =====
+
+    function renderCover(container) {
+        const date = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+        container.innerHTML = `
+            <p class="handbook-cover__eyebrow">Flow Innovation</p>
+            <h1 class="handbook-cover__title">The Flow Innovation Handbook</h1>
+            <p class="handbook-cover__subtitle">The philosophy and the seven principles, in one place.</p>
+            <dl class="handbook-cover__meta">
+                <dt>Generated</dt>
+                <dd>${escapeHtml(date)}</dd>
+                <dt>Online edition</dt>
+                <dd><a href="${escapeHtml(siteUrl('index.html'))}">Flow Innovation</a></dd>
+            </dl>`;
+    }
+
+    /**
+     * Nested contents list built from the chapter and section headings
+     */
+    function renderContents(container, chapters) {
+        const items = chapters.map(chapter => {
+            const title = chapter.querySelector('.handbook-chapter__title');
+            const sections = Array.from(chapter.querySelectorAll('.handbook-section')).map(section => {
+                const heading = section.querySelector('.handbook-section__title');
+                const text = heading ? heading.textContent.replace(/\s+/g, ' ').trim() : section.id;
+                return `
+                        <li><a href="#${section.id}" class="handbook-toc__link">${escapeHtml(text)}</a></li>`;
+            }).join('');
+
+            return `
+                <li class="handbook-toc__chapter">
+                    <a href="#${chapter.id}" class="handbook-toc__link">${escapeHtml(title.textContent)}</a>
+                    <ol class="handbook-toc__sections">${sections}
+                    </ol>
+                </li>`;
+        }).join('');
+
+        container.innerHTML = `
+            <h2 class="handbook-toc__title">Contents</h2>
+            <ol class="handbook-toc__list">${items}
+            </ol>`;
+    }
+
+    /**
+     * Record each external link's absolute URL for the print stylesheet to show after it
+     */
+    function markPrintedUrls(root) {
+        root.querySelectorAll('a[href]').forEach(link => {
+            if (link.getAttribute('href').startsWith('#')) return;
+            link.setAttribute('data-print-url', link.href);
+        });
+    }
+
+    // ===== BUILD =====
+
+    /**
+     * Assemble the handbook; resolves once the document is ready to print
+     */
+    async function buildHandbook() {
+        const body = document.getElementById('handbook-body');
+        const status = document.getElementById('handbook-status');
+        if (!body) return;
+
+        renderCover(document.getElementById('handbook-cover'));
+
+        const philosophy = createChapter('philosophy', 1, 'The Philosophy');
+        try {
+            (await loadPhilosophySections()).forEach(section => philosophy.appendChild(section));
+        } catch (error) {
+            console.warn('Handbook: philosophy chapter unavailable', error);
+            philosophy.insertAdjacentHTML('beforeend', `
+                <p class="handbook-notice">The philosophy chapter could not be loaded. Open the handbook through the site's
+                web server (not as a local file) or read it at <a href="${escapeHtml(siteUrl(PHILOSOPHY_URL))}">the philosophy page</a>.</p>`);
+        }
+
+        const principles = createChapter('principles', 2, 'The Seven Principles');
+        principles.insertAdjacentHTML('beforeend', PRINCIPLES.map(renderPrinciple).join(''));
+
+        const chapters = [philosophy, principles];
+        chapters.forEach(chapter => body.appendChild(chapter));
+
+        renderContents(document.getElementById('handbook-toc'), chapters);
+        markPrintedUrls(document.querySelector('.handbook'));
+
+        if (status) {
+            status.textContent = 'Handbook ready. Use "Print / Save as PDF" to export it.';
+        }
+    }
+
+    function printHandbook() {
+        window.print();
+    }
+
+    // ===== INITIALIZATION =====
+
+    async function initHandbook() {
+        console.log('📘 Handbook - Assembling...');
+
+        const printButton = document.getElementById('handbook-print');
+        if (printButton) {
+            printButton.disabled = true;
+            printButton.addEventListener('click', printHandbook);
+        }
+
+        await buildHandbook();
+
+        // Wait for web fonts so the print layout does not reflow in the dialog
+        if (document.fonts && document.fonts.ready) {
+            await document.fonts.ready;
+        }
+
+        if (printButton) printButton.disabled = false;
+
+        console.log('✅ Handbook - Ready');
+
+        // "Export handbook" links open handbook.html?print=1
+        if (new URLSearchParams(window.location.search).get('print') === '1') {
+            printHandbook();
+        }
+    }
+
+    // ===== AUTO-INITIALIZATION =====
+
+    // Resolves once the handbook is assembled
+    const ready = new Promise(resolve => {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => resolve(initHandbook()));
+        } else {
+            resolve(initHandbook());
+        }
+    });
+
+    // ===== EXPORT FOR DEBUGGING =====
+    if (typeof window !== 'undefined') {
+        window.FlowHandbook = {
+            ready,
+            print: printHandbook
+        };
+    }
+
+})();
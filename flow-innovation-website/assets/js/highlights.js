@@ -0,0 +1,751 @@
+/**
+ * Philosophy Page - Highlights & Annotations
+ * Select text in the article to highlight it, attach a private note or copy it.
+ * Each highlight is anchored by a text quote (with surrounding context) plus its
+ * character position within the section, so it survives small content edits.
+ * Everything stays in localStorage; the side panel lists it and exports Markdown.
+ */
+
+(function() {
+    'use strict';
+
+    // ===== CONFIGURATION =====
+    const STORAGE_KEY = 'flowInnovation_highlights';
+    const SCHEMA_VERSION = 1;
+    const CONTEXT_LENGTH = 32;   // characters of prefix/suffix stored with each quote
+    const NOTE_SAVE_DELAY = 400;
+
+    const ROOT_SELECTOR = '.article-section .article-content';
+    // Text that is not part of the article (copy buttons, our own UI)
+    const SKIP_SELECTOR = 'button, .highlight-popover';
+
+    // ===== STATE =====
+    let highlights = [];
+    let popover = null;
+    let panel = null;
+    let toggleButton = null;
+    let pendingSelection = null; // { root, selector } for a selection awaiting an action
+    let activeId = null;         // highlight whose popover is open
+    let returnFocus = null;
+    const noteTimers = new Map(); // highlight id -> pending note save
+
+    // ===== HELPERS =====
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function createId() {
+        return `hl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    function getRoot(sectionId) {
+        const section = document.getElementById(sectionId);
+        return section ? section.querySelector('.article-content') : null;
+    }
+
+    /**
+     * The article section content containing a node, if any
+     */
+    function getRootOf(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return element ? element.closest(ROOT_SELECTOR) : null;
+    }
+
+    function getSectionTitle(sectionId) {
+        const title = document.querySelector(`#${sectionId} .article-section__title`);
+        if (!title) return sectionId;
+
+        const clone = title.cloneNode(true);
+        clone.querySelectorAll('.section-reading-time').forEach(node => node.remove());
+        return clone.textContent.trim();
+    }
+
+    function getHighlight(id) {
+        return highlights.find(highlight => highlight.id === id);
+    }
+
+    /**
+     * Article order: by section, then by position within it
+     */
+    function getSortedHighlights() {
+        const sectionIds = Array.from(document.querySelectorAll('.article-section'), section => section.id);
+
+        return highlights.slice().sort((a, b) =>
+            (sectionIds.indexOf(a.section) - sectionIds.indexOf(b.section)) ||
+            (a.position.start - b.position.start));
+    }
+
+    function notify(message, type = 'info') {
+        if (window.FlowInnovation) {
+            window.FlowInnovation.showNotification(message, type);
+        }
+    }
+
+    // ===== STORAGE =====
+
+    function load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            highlights = stored && stored.version === SCHEMA_VERSION && Array.isArray(stored.items)
+                ? stored.items
+                : [];
+        } catch (e) {
+            highlights = [];
+        }
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: SCHEMA_VERSION,
+                items: highlights.map(({ orphaned, ...highlight }) => highlight)
+            }));
+        } catch (e) {
+            console.warn('Could not save highlights to localStorage');
+        }
+    }
+
+    // ===== TEXT POSITIONS =====
+    // Positions count characters of the section text with whitespace runs collapsed,
+    // so re-indenting the HTML does not move anything
+
+    function getTextNodes(root) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest(SKIP_SELECTOR)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        return nodes;
+    }
+
+    /**
+     * Normalized text of a root, with `map[i]` = raw offset of normalized character i
+     */
+    function getText(root) {
+        const raw = getTextNodes(root).map(node => node.data).join('');
+        const map = [];
+        let text = '';
+        let inSpace = false;
+
+        for (let i = 0; i < raw.length; i++) {
+            if (/\s/.test(raw[i])) {
+                if (inSpace) continue;
+                text += ' ';
+                inSpace = true;
+            } else {
+                text += raw[i];
+                inSpace = false;
+            }
+            map.push(i);
+        }
+
+        return { text, map };
+    }
+
+    /**
+     * Raw character offset of a DOM boundary point within `root`
+     */
+    function getRawOffset(root, container, offset) {
+        const probe = document.createRange();
+        probe.setStart(container, offset);
+
+        let total = 0;
+        for (const node of getTextNodes(root)) {
+            if (node === container) return total + offset;
+            if (probe.comparePoint(node, node.data.length) === 1) break;
+            total += node.data.length;
+        }
+        return total;
+    }
+
+    /**
+     * Text-quote + position selector for a DOM range inside `root`
+     */
+    function describeRange(root, range) {
+        const { text, map } = getText(root);
+        const rawStart = getRawOffset(root, range.startContainer, range.startOffset);
+        const rawEnd = getRawOffset(root, range.endContainer, range.endOffset);
+
+        let start = map.findIndex(raw => raw >= rawStart);
+        let end = map.filter(raw => raw < rawEnd).length;
+        if (start === -1) return null;
+
+        // Drop whitespace picked up at either edge of the selection
+        while (start < end && text[start] === ' ') start++;
+        while (end > start && text[end - 1] === ' ') end--;
+        if (start === end) return null;
+
+        return {
+            quote: {
+                exact: text.slice(start, end),
+                prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+                suffix: text.slice(end, end + CONTEXT_LENGTH)
+            },
+            position: { start, end }
+        };
+    }
+
+    /**
+     * Characters two strings share at their end (or start)
+     */
+    function sharedLength(a, b, fromEnd) {
+        let n = 0;
+        while (n < a.length && n < b.length &&
+               (fromEnd ? a[a.length - 1 - n] === b[b.length - 1 - n] : a[n] === b[n])) {
+            n++;
+        }
+        return n;
+    }
+
+    /**
+     * Find a highlight's current { start, end }: the stored position if the quote is
+     * still there, otherwise the occurrence whose context matches best. Null if gone.
+     */
+    function locate(highlight, text) {
+        const { exact, prefix, suffix } = highlight.quote;
+        const { start } = highlight.position;
+
+        if (text.slice(start, start + exact.length) === exact) {
+            return { start, end: start + exact.length };
+        }
+
+        let best = null;
+        for (let index = text.indexOf(exact); index !== -1; index = text.indexOf(exact, index + 1)) {
+            const score = sharedLength(text.slice(0, index), prefix, true) +
+                sharedLength(text.slice(index + exact.length), suffix, false);
+            const distance = Math.abs(index - start);
+
+            if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+                best = { start: index, end: index + exact.length, score, distance };
+            }
+        }
+
+        return best ? { start: best.start, end: best.end } : null;
+    }
+
+    // ===== RENDERING =====
+
+    /**
+     * Wrap the text of one highlight in <mark> elements (one per text node it spans)
+     */
+    function wrapHighlight(highlight) {
+        const root = getRoot(highlight.section);
+        if (!root) {
+            highlight.orphaned = true;
+            return;
+        }
+
+        const { text, map } = getText(root);
+        const found = locate(highlight, text);
+        highlight.orphaned = !found;
+        if (!found) return;
+
+        // Remember where it moved to, so the next lookup is exact
+        highlight.position = found;
+
+        const rawStart = map[found.start];
+        const rawEnd = map[found.end - 1] + 1;
+        const segments = [];
+        let offset = 0;
+
+        getTextNodes(root).forEach(node => {
+            const nodeStart = offset;
+            offset += node.data.length;
+
+            const from = Math.max(rawStart, nodeStart) - nodeStart;
+            const to = Math.min(rawEnd, offset) - nodeStart;
+            if (from < to && node.data.slice(from, to).trim()) {
+                segments.push({ node, from, to });
+            }
+        });
+
+        segments.forEach(({ node, from, to }) => {
+            let target = node;
+            if (to < target.data.length) target.splitText(to);
+            if (from > 0) target = target.splitText(from);
+
+            const mark = document.createElement('mark');
+            mark.className = `article-highlight${highlight.note ? ' article-highlight--noted' : ''}`;
+            mark.dataset.highlightId = highlight.id;
+            mark.title = highlight.note || 'Highlighted';
+            target.parentNode.insertBefore(mark, target);
+            mark.appendChild(target);
+        });
+    }
+
+    function unwrapHighlight(id) {
+        document.querySelectorAll(`mark.article-highlight[data-highlight-id="${id}"]`).forEach(mark => {
+            const parent = mark.parentNode;
+            while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+            mark.remove();
+            parent.normalize();
+        });
+    }
+
+    function renderMarks() {
+        const ids = new Set(Array.from(document.querySelectorAll('mark.article-highlight'), mark => mark.dataset.highlightId));
+        ids.forEach(unwrapHighlight);
+        highlights.forEach(wrapHighlight);
+    }
+
+    // ===== HIGHLIGHT ACTIONS =====
+
+    function createHighlight(root, selector) {
+        const highlight = {
+            id: createId(),
+            section: root.closest('.article-section').id,
+            quote: selector.quote,
+            position: selector.position,
+            note: '',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        highlights.push(highlight);
+        wrapHighlight(highlight);
+        save();
+        renderPanel();
+        return highlight;
+    }
+
+    function removeHighlight(id) {
+        unwrapHighlight(id);
+        highlights = highlights.filter(highlight => highlight.id !== id);
+        save();
+        renderPanel();
+    }
+
+    function updateNote(id, note) {
+        const highlight = getHighlight(id);
+        if (!highlight) return;
+
+        highlight.note = note;
+        highlight.updatedAt = new Date().toISOString();
+        save();
+
+        document.querySelectorAll(`mark.article-highlight[data-highlight-id="${id}"]`).forEach(mark => {
+            mark.classList.toggle('article-highlight--noted', Boolean(note));
+            mark.title = note || 'Highlighted';
+        });
+    }
+
+    /**
+     * Copy a passage; reuses the page's clipboard helper from the quote copy buttons
+     */
+    function copyPassage(text, sectionId) {
+        // Inside then() so a missing navigator.clipboard rejects instead of throwing
+        Promise.resolve()
+            .then(() => window.PhilosophyPage && window.PhilosophyPage.copyToClipboard
+                ? window.PhilosophyPage.copyToClipboard(text)
+                : navigator.clipboard.writeText(text))
+            .then(() => notify('Passage copied to clipboard', 'success'))
+            .catch(() => notify('Could not copy the passage', 'error'));
+
+        if (window.FlowAnalytics) {
+            window.FlowAnalytics.track('quote_copy', { section: sectionId });
+        }
+    }
+
+    function jumpTo(id) {
+        const mark = document.querySelector(`mark.article-highlight[data-highlight-id="${id}"]`);
+        if (!mark) return;
+
+        mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        const marks = document.querySelectorAll(`mark.article-highlight[data-highlight-id="${id}"]`);
+        marks.forEach(item => item.classList.add('article-highlight--flash'));
+        setTimeout(() => marks.forEach(item => item.classList.remove('article-highlight--flash')), 1500);
+    }
+
+    // ===== SELECTION POPOVER =====
+
+    function createPopover() {
+        popover = document.createElement('div');
+        popover.className = 'highlight-popover';
+        popover.setAttribute('role', 'toolbar');
+        popover.setAttribute('aria-label', 'Highlight actions');
+        popover.hidden = true;
+        popover.innerHTML = `
+            <button type="button" class="highlight-popover__btn" data-action="highlight">Highlight</button>
+            <button type="button" class="highlight-popover__btn" data-action="note">Note</button>
+            <button type="button" class="highlight-popover__btn" data-action="copy">Copy</button>
+            <button type="button" class="highlight-popover__btn" data-action="remove">Remove</button>
+        `;
+
+        // Keep the text selection alive while a button is pressed
+        popover.addEventListener('mousedown', event => event.preventDefault());
+        popover.addEventListener('click', event => {
+            const button = event.target.closest('[data-action]');
+            if (button) handlePopoverAction(button.dataset.action);
+        });
+
+        document.body.appendChild(popover);
+    }
+
+    /**
+     * Show the popover above `rect` (viewport coordinates) with the given actions
+     */
+    function showPopover(rect, actions) {
+        popover.querySelectorAll('[data-action]').forEach(button => {
+            button.hidden = !actions.includes(button.dataset.action);
+        });
+        popover.hidden = false;
+
+        const width = popover.offsetWidth;
+        const height = popover.offsetHeight;
+        const left = Math.min(
+            Math.max(8, rect.left + rect.width / 2 - width / 2),
+            document.documentElement.clientWidth - width - 8
+        );
+        const above = rect.top - height - 8;
+
+        popover.style.left = `${left + window.pageXOffset}px`;
+        popover.style.top = `${(above > 80 ? above : rect.bottom + 8) + window.pageYOffset}px`;
+    }
+
+    function hidePopover() {
+        if (popover) popover.hidden = true;
+        pendingSelection = null;
+        activeId = null;
+    }
+
+    /**
+     * Offer the popover for a fresh selection inside one section of the article
+     */
+    function handleSelection() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount || selection.isCollapsed) {
+            if (!activeId) hidePopover();
+            return;
+        }
+
+        const range = selection.getRangeAt(0);
+        const root = getRootOf(range.startContainer);
+        const endRoot = getRootOf(range.endContainer);
+
+        // Selections that start outside the article or run into another section are left alone
+        // (a triple-click may end just past the section, which is fine)
+        if (!root || (endRoot && endRoot !== root)) {
+            hidePopover();
+            return;
+        }
+
+        const selector = describeRange(root, range);
+        if (!selector) {
+            hidePopover();
+            return;
+        }
+
+        activeId = null;
+        pendingSelection = { root, selector };
+        showPopover(range.getBoundingClientRect(), ['highlight', 'note', 'copy']);
+    }
+
+    function handlePopoverAction(action) {
+        const selection = pendingSelection;
+        let highlight = activeId ? getHighlight(activeId) : null;
+
+        if (!highlight && !selection) {
+            hidePopover();
+            return;
+        }
+
+        switch (action) {
+            case 'highlight':
+                createHighlight(selection.root, selection.selector);
+                break;
+
+            case 'note':
+                if (!highlight) highlight = createHighlight(selection.root, selection.selector);
+                openPanel(highlight.id);
+                break;
+
+            case 'copy':
+                if (highlight) {
+                    copyPassage(highlight.quote.exact, highlight.section);
+                } else {
+                    copyPassage(selection.selector.quote.exact, selection.root.closest('.article-section').id);
+                }
+                break;
+
+            case 'remove':
+                if (highlight) removeHighlight(highlight.id);
+                break;
+        }
+
+        window.getSelection().removeAllRanges();
+        hidePopover();
+    }
+
+    // ===== SIDE PANEL =====
+
+    function createPanel() {
+        toggleButton = document.createElement('button');
+        toggleButton.type = 'button';
+        toggleButton.className = 'highlights-toggle';
+        toggleButton.setAttribute('aria-controls', 'highlights-panel');
+        toggleButton.setAttribute('aria-expanded', 'false');
+        toggleButton.addEventListener('click', () => (panel.hidden ? openPanel() : closePanel()));
+
+        panel = document.createElement('aside');
+        panel.className = 'highlights-panel';
+        panel.id = 'highlights-panel';
+        panel.setAttribute('aria-label', 'Your highlights and notes');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="highlights-panel__header">
+                <h2 class="highlights-panel__title">Highlights &amp; Notes</h2>
+                <button type="button" class="highlights-panel__close" aria-label="Close highlights">×</button>
+            </div>
+            <p class="highlights-panel__privacy">Saved in this browser only.</p>
+            <ol class="highlights-panel__list"></ol>
+            <div class="highlights-panel__footer">
+                <button type="button" class="btn btn--primary highlights-panel__export">Export Markdown</button>
+                <button type="button" class="highlights-panel__clear">Clear all</button>
+            </div>
+        `;
+
+        panel.querySelector('.highlights-panel__close').addEventListener('click', closePanel);
+        panel.querySelector('.highlights-panel__export').addEventListener('click', exportMarkdown);
+        panel.querySelector('.highlights-panel__clear').addEventListener('click', clearAll);
+
+        const list = panel.querySelector('.highlights-panel__list');
+
+        list.addEventListener('click', event => {
+            const item = event.target.closest('.highlight-item');
+            if (!item) return;
+
+            if (event.target.closest('.highlight-item__quote')) {
+                jumpTo(item.dataset.highlightId);
+            } else if (event.target.closest('.highlight-item__remove')) {
+                removeHighlight(item.dataset.highlightId);
+            }
+        });
+
+        list.addEventListener('input', event => {
+            const item = event.target.closest('.highlight-item');
+            if (!item || !event.target.matches('.highlight-item__note')) return;
+
+            const id = item.dataset.highlightId;
+            const value = event.target.value.trim();
+
+            clearTimeout(noteTimers.get(id));
+            noteTimers.set(id, setTimeout(() => {
+                noteTimers.delete(id);
+                updateNote(id, value);
+            }, NOTE_SAVE_DELAY));
+        });
+
+        document.body.appendChild(toggleButton);
+        document.body.appendChild(panel);
+    }
+
+    function renderPanel() {
+        if (!panel) return;
+
+        const count = highlights.length;
+        toggleButton.innerHTML = `<span aria-hidden="true">✎</span> Highlights <span class="highlights-toggle__count">${count}</span>`;
+        toggleButton.hidden = count === 0 && panel.hidden;
+
+        const list = panel.querySelector('.highlights-panel__list');
+
+        if (!count) {
+            list.innerHTML = '<li class="highlights-panel__empty">Select any passage in the article to highlight it or add a note.</li>';
+            return;
+        }
+
+        list.innerHTML = getSortedHighlights().map(highlight => `
+            <li class="highlight-item${highlight.orphaned ? ' highlight-item--orphaned' : ''}" data-highlight-id="${highlight.id}">
+                <p class="highlight-item__section">${escapeHtml(getSectionTitle(highlight.section))}</p>
+                <button type="button" class="highlight-item__quote"${highlight.orphaned ? ' disabled' : ''}>
+                    “${escapeHtml(highlight.quote.exact)}”
+                </button>
+                ${highlight.orphaned ? '<p class="highlight-item__warning">This passage has changed and could not be found in the article.</p>' : ''}
+                <label class="sr-only" for="note-${highlight.id}">Note</label>
+                <textarea class="highlight-item__note" id="note-${highlight.id}" rows="2"
+                    placeholder="Add a private note...">${escapeHtml(highlight.note)}</textarea>
+                <button type="button" class="highlight-item__remove">Remove</button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Open the panel, optionally focusing one highlight's note
+     */
+    function openPanel(focusId) {
+        if (panel.hidden) returnFocus = document.activeElement;
+
+        panel.hidden = false;
+        toggleButton.hidden = false;
+        toggleButton.setAttribute('aria-expanded', 'true');
+        renderPanel();
+
+        const note = focusId && panel.querySelector(`#note-${focusId}`);
+        if (note) {
+            note.scrollIntoView({ block: 'nearest' });
+            note.focus();
+        } else {
+            panel.querySelector('.highlights-panel__close').focus();
+        }
+    }
+
+    function closePanel() {
+        panel.hidden = true;
+        toggleButton.setAttribute('aria-expanded', 'false');
+        renderPanel();
+
+        if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    async function clearAll() {
+        if (!highlights.length) return;
+
+        const confirmed = window.FlowInnovation
+            ? await window.FlowInnovation.Modal.confirm({
+                title: 'Remove all highlights?',
+                message: 'Every highlight and note on this page will be deleted from this browser.',
+                confirmLabel: 'Remove all',
+                cancelLabel: 'Keep them'
+            })
+            : window.confirm('Remove all highlights and notes?');
+        if (!confirmed) return;
+
+        highlights.forEach(highlight => unwrapHighlight(highlight.id));
+        highlights = [];
+        save();
+        renderPanel();
+    }
+
+    // ===== MARKDOWN EXPORT =====
+
+    /**
+     * Highlights grouped by section, quotes as blockquotes and notes below them
+     */
+    function toMarkdown() {
+        const lines = [
+            `# Highlights: ${document.querySelector('.philosophy-hero__title').textContent.trim()}`,
+            '',
+            `Exported ${new Date().toISOString().slice(0, 10)} from ${window.location.href.split('#')[0]}`
+        ];
+        let section = null;
+
+        getSortedHighlights().forEach(highlight => {
+            if (highlight.section !== section) {
+                section = highlight.section;
+                lines.push('', `## ${getSectionTitle(section)}`);
+            }
+
+            lines.push('', `> ${highlight.quote.exact}`);
+            if (highlight.note) {
+                lines.push('', highlight.note.replace(/\r?\n/g, '  \n'));
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    function exportMarkdown() {
+        if (!highlights.length) {
+            notify('Highlight a passage first, then export.', 'info');
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([toMarkdown()], { type: 'text/markdown' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `flow-innovation-highlights-${new Date().toISOString().slice(0, 10)}.md`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ===== INITIALIZATION =====
+
+    function initHighlights() {
+        if (!document.querySelector(ROOT_SELECTOR)) return;
+
+        console.log('🖍️ Highlights - Initializing...');
+
+        load();
+        renderMarks();
+        createPopover();
+        createPanel();
+        renderPanel();
+
+        const article = document.querySelector('.philosophy-article');
+
+        // Wait a tick so the browser has finished updating the selection
+        article.addEventListener('mouseup', event => {
+            if (event.target.closest('mark.article-highlight') && window.getSelection().isCollapsed) return;
+            setTimeout(handleSelection, 0);
+        });
+        article.addEventListener('keyup', event => {
+            if (event.shiftKey) setTimeout(handleSelection, 0);
+        });
+
+        // Existing highlights: click to note, copy or remove
+        article.addEventListener('click', event => {
+            const mark = event.target.closest('mark.article-highlight');
+            if (!mark || !window.getSelection().isCollapsed) return;
+
+            pendingSelection = null;
+            activeId = mark.dataset.highlightId;
+            showPopover(mark.getBoundingClientRect(), ['note', 'copy', 'remove']);
+        });
+
+        document.addEventListener('mousedown', event => {
+            if (!popover.hidden && !popover.contains(event.target) && !event.target.closest('mark.article-highlight')) {
+                hidePopover();
+            }
+        });
+
+        document.addEventListener('keydown', event => {
+            if (event.key !== 'Escape') return;
+
+            if (!popover.hidden) {
+                hidePopover();
+            } else if (!panel.hidden) {
+                closePanel();
+            }
+        });
+
+        window.addEventListener('resize', hidePopover);
+
+        // Highlights made in another tab
+        window.addEventListener('storage', event => {
+            if (event.key !== STORAGE_KEY) return;
+            load();
+            renderMarks();
+            renderPanel();
+        });
+
+        console.log(`✅ Highlights - ${highlights.length} restored`);
+    }
+
+    // ===== AUTO-INITIALIZATION =====
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initHighlights);
+    } else {
+        initHighlights();
+    }
+
+    // ===== EXPORT FOR DEBUGGING =====
+    window.PhilosophyHighlights = {
+        getHighlights: () => getSortedHighlights(),
+        removeHighlight,
+        openPanel: () => openPanel(),
+        closePanel,
+        toMarkdown
+    };
+
+})();
@@ -0,0 +1,143 @@
+/**
+ * Flow Innovation - Offline Lead Queue
+ * IndexedDB-backed queue for lead submissions made while offline.
+ * Shared by the page (main.js) and the service worker (sw.js).
+ */
+
+(function(scope) {
+    'use strict';
+
+    const DB_NAME = 'flowInnovation';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'pendingLeads';
+    const SYNC_TAG = 'flow-lead-sync';
+
+    let dbPromise = null;
+    let flushPromise = null;
+
+    /**
+     * Check IndexedDB support in the current context
+     */
+    function isSupported() {
+        return typeof scope.indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade) the database once per context
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = scope.indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run a single request against the store inside a transaction
+     */
+    async function withStore(mode, operation) {
+        const db = await openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Add a lead payload to the queue, resolving with its queue id
+     */
+    function enqueue(payload) {
+        return withStore('readwrite', store => store.add({
+            payload,
+            queuedAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * List queued entries in submission order
+     */
+    function all() {
+        return withStore('readonly', store => store.getAll());
+    }
+
+    /**
+     * Remove an entry from the queue
+     */
+    function remove(id) {
+        return withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Replay queued leads through `send(payload)`.
+     *
+     * A rejection with a 4xx `status` means the server refused the lead for good,
+     * so it is dropped; any other rejection (or 429 rate limiting) stops the replay
+     * and keeps the rest queued.
+     */
+    function flush(send) {
+        if (flushPromise) return flushPromise;
+
+        flushPromise = (async () => {
+            const result = { sent: [], rejected: [], remaining: 0 };
+            const entries = await all();
+
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+
+                try {
+                    const response = await send(entry.payload);
+                    await remove(entry.id);
+                    result.sent.push({ payload: entry.payload, response });
+                } catch (error) {
+                    if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+                        await remove(entry.id);
+                        result.rejected.push({ payload: entry.payload, error });
+                    } else {
+                        result.remaining = entries.length - i;
+                        break;
+                    }
+                }
+            }
+
+            return result;
+        })();
+
+        flushPromise.then(
+            () => { flushPromise = null; },
+            () => { flushPromise = null; }
+        );
+
+        return flushPromise;
+    }
+
+    scope.FlowLeadQueue = {
+        SYNC_TAG,
+        isSupported,
+        enqueue,
+        all,
+        remove,
+        flush
+    };
+
+})(typeof self !== 'undefined' ? self : this);
@@ -48,6 +48,15 @@
         };
     }
 
+    /**
+     * Record an analytics event; names and properties are listed in analytics.js
+     */
+    function trackEvent(name, properties) {
+        if (window.FlowAnalytics) {
+            window.FlowAnalytics.track(name, properties);
+        }
+    }
+
     /**
      * Check if element is in viewport
      */
@@ -202,44 +211,349 @@
 
     // ===== MODAL FUNCTIONALITY =====
     
+    const MODAL_HASH_PATTERN = /^#modal=([\w-]+)$/;
+    const MODAL_BASE_Z_INDEX = 2000;
+    const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), textarea:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
     /**
      * Modal manager
+     *
+     * Modals are stacked, so a confirmation can open over a form. Each open pushes a
+     * `#modal=<id>` history entry: the browser Back button closes the top modal and
+     * links such as get-started.html#modal=leader open one directly.
      */
     const Modal = {
-        current: null,
-        
-        open(modalId) {
-            const modal = document.getElementById(`${modalId}-modal`);
-            if (!modal) return;
-            
+        stack: [],
+
+        // Set while a close is waiting for its history.back() to land
+        awaitingBack: false,
+        deferredHistory: [],
+
+        // modalId -> function that creates that modal's element on first open
+        builders: new Map(),
+
+        /**
+         * Top-most open modal element (used by the focus trap)
+         */
+        get current() {
+            const top = this.stack[this.stack.length - 1];
+            return top ? top.element : null;
+        },
+
+        /**
+         * Open a modal by id ("leader" opens #leader-modal) on top of any open ones
+         */
+        open(modalId, options = {}) {
+            const {
+                trigger = document.activeElement,
+                history: addHistoryEntry = true,
+                onClose = null
+            } = options;
+
+            const modal = document.getElementById(`${modalId}-modal`) || this.build(modalId);
+            if (!modal || this.stack.some(entry => entry.element === modal)) return false;
+
+            this.prepare(modal);
+
+            this.stack.push({
+                id: modalId,
+                element: modal,
+                returnFocus: trigger,
+                hasHistory: addHistoryEntry,
+                onClose
+            });
+
+            modal.style.zIndex = MODAL_BASE_Z_INDEX + this.stack.length * 10;
             modal.classList.add('active');
             document.body.style.overflow = 'hidden';
-            this.current = modal;
-            
-            // Focus first input
-            const firstInput = modal.querySelector('input, textarea, select');
-            if (firstInput) {
-                setTimeout(() => firstInput.focus(), 100);
+
+            if (addHistoryEntry) {
+                this.pushHistory({ flowModalDepth: this.stack.length, flowModalId: modalId }, `#modal=${modalId}`);
             }
-            
-            // Handle escape key
-            document.addEventListener('keydown', this.handleEscape);
+
+            trackEvent('modal_open', { modal: modalId });
+
+            // Focus first input, or the dialog itself
+            const firstInput = modal.querySelector('input:not([type="hidden"]), textarea, select') ||
+                modal.querySelector(FOCUSABLE_SELECTOR);
+            setTimeout(() => (firstInput || modal.querySelector('[role="dialog"]')).focus(), 100);
+
+            return true;
         },
         
+        /**
+         * Close a specific modal, or the top one
+         */
         close(modal = null) {
-            const targetModal = modal || this.current;
-            if (!targetModal) return;
-            
-            targetModal.classList.remove('active');
-            document.body.style.overflow = '';
-            this.current = null;
-            
-            document.removeEventListener('keydown', this.handleEscape);
+            const top = this.stack[this.stack.length - 1];
+            const entry = modal ? this.stack.find(item => item.element === modal) : top;
+            if (!entry) return;
+
+            const ownsHistoryEntry = entry === top && entry.hasHistory &&
+                history.state && history.state.flowModalDepth === this.stack.length;
+
+            this.dismiss(entry);
+
+            // Step back over the entry this modal pushed; popstate then finds nothing left to close
+            if (ownsHistoryEntry) {
+                this.awaitingBack = true;
+                history.back();
+            }
         },
-        
+
+        /**
+         * Close the top modal from a user gesture, confirming first if its form has unsaved input
+         */
+        async requestClose(modal = null) {
+            const target = modal || this.current;
+            if (!target) return;
+
+            if (this.hasUnsavedInput(target)) {
+                const discard = await this.confirm({
+                    title: 'Discard your details?',
+                    message: 'You have started filling in this form. Closing it will clear what you entered.',
+                    confirmLabel: 'Discard',
+                    cancelLabel: 'Keep editing'
+                });
+                if (!discard) return;
+
+                target.querySelectorAll('form').forEach(form => form.reset());
+            }
+
+            this.close(target);
+        },
+
+        /**
+         * Close every open modal
+         */
+        closeAll() {
+            // history.back() is async, so step over every entry the stack pushed in one go
+            const ownsHistory = history.state && history.state.flowModalDepth > 0;
+            const historyEntries = ownsHistory ? this.stack.filter(entry => entry.hasHistory).length : 0;
+
+            while (this.stack.length) {
+                this.dismiss(this.stack[this.stack.length - 1]);
+            }
+
+            if (historyEntries) {
+                this.awaitingBack = true;
+                history.go(-historyEntries);
+            }
+        },
+
+        /**
+         * Ask a yes/no question in a modal stacked over the current one
+         */
+        confirm({ title, message, confirmLabel = 'Confirm', cancelLabel = 'Cancel' }) {
+            const modal = this.getConfirmModal();
+
+            modal.querySelector('.modal__title').textContent = title;
+            modal.querySelector('.modal__description').textContent = message;
+            modal.querySelector('[data-confirm-accept]').textContent = confirmLabel;
+            modal.querySelector('[data-confirm-cancel]').textContent = cancelLabel;
+
+            return new Promise(resolve => {
+                let answer = false;
+
+                const answerWith = value => () => {
+                    answer = value;
+                    this.close(modal);
+                };
+                const accept = answerWith(true);
+                const cancel = answerWith(false);
+
+                modal.querySelector('[data-confirm-accept]').addEventListener('click', accept, { once: true });
+                modal.querySelector('[data-confirm-cancel]').addEventListener('click', cancel, { once: true });
+
+                const opened = this.open('confirm', {
+                    history: false,
+                    onClose: () => {
+                        modal.querySelector('[data-confirm-accept]').removeEventListener('click', accept);
+                        modal.querySelector('[data-confirm-cancel]').removeEventListener('click', cancel);
+                        resolve(answer);
+                    }
+                });
+
+                if (!opened) resolve(false);
+            });
+        },
+
+        /**
+         * Build the shared confirmation modal on first use
+         */
+        getConfirmModal() {
+            let modal = document.getElementById('confirm-modal');
+            if (modal) return modal;
+
+            modal = document.createElement('div');
+            modal.className = 'modal modal--confirm';
+            modal.id = 'confirm-modal';
+            modal.innerHTML = `
+                <div class="modal__content">
+                    <div class="modal__header">
+                        <h3 class="modal__title"></h3>
+                    </div>
+                    <div class="modal__body">
+                        <p class="modal__description"></p>
+                        <div class="modal__actions">
+                            <button type="button" class="btn btn--secondary" data-confirm-cancel></button>
+                            <button type="button" class="btn btn--primary" data-confirm-accept></button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            return modal;
+        },
+
+        /**
+         * Check whether any field in the modal differs from its initial value
+         */
+        hasUnsavedInput(modal) {
+            return Array.from(modal.querySelectorAll('input, textarea')).some(field => {
+                if (field.type === 'hidden') return false;
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    return field.checked !== field.defaultChecked;
+                }
+                return field.value !== field.defaultValue;
+            });
+        },
+
+        /**
+         * Apply dialog semantics to a modal's markup
+         */
+        prepare(modal) {
+            const dialog = modal.querySelector('.modal__content') || modal;
+            const title = modal.querySelector('.modal__title');
+            const description = modal.querySelector('.modal__description');
+
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('tabindex', '-1');
+
+            if (title) {
+                if (!title.id) title.id = `${modal.id}-title`;
+                dialog.setAttribute('aria-labelledby', title.id);
+            }
+
+            if (description) {
+                if (!description.id) description.id = `${modal.id}-description`;
+                dialog.setAttribute('aria-describedby', description.id);
+            }
+
+            modal.querySelectorAll('[data-close-modal]').forEach(button => {
+                if (!button.hasAttribute('aria-label')) {
+                    button.setAttribute('aria-label', 'Close dialog');
+                }
+            });
+        },
+
+        /**
+         * Let a page script create its modal on demand, so #modal=<id> links and
+         * Back/Forward can open it before the script has built it
+         */
+        register(modalId, builder) {
+            this.builders.set(modalId, builder);
+        },
+
+        /**
+         * Create a modal that is not in the markup yet (registered builders, then pathways)
+         */
+        build(modalId) {
+            const builder = this.builders.get(modalId);
+            return builder ? builder() : PathwayModals.build(modalId);
+        },
+
+        /**
+         * Hide a modal and return focus to whatever opened it
+         */
+        dismiss(entry) {
+            this.stack.splice(this.stack.indexOf(entry), 1);
+
+            entry.element.classList.remove('active');
+            entry.element.style.zIndex = '';
+
+            if (!this.stack.length) {
+                document.body.style.overflow = '';
+            }
+
+            if (entry.returnFocus && document.contains(entry.returnFocus) && entry.returnFocus !== document.body) {
+                entry.returnFocus.focus();
+            }
+
+            if (entry.onClose) entry.onClose();
+
+            trackEvent('modal_close', { modal: entry.id });
+        },
+
+        /**
+         * Push a history entry, or defer it until a pending history.back() lands
+         */
+        pushHistory(state, url) {
+            if (this.awaitingBack) {
+                this.deferredHistory.push([state, url]);
+            } else {
+                history.pushState(state, '', url);
+            }
+        },
+
+        /**
+         * Keep the stack in sync with Back/Forward and #modal= links
+         */
+        handlePopState(event) {
+            if (this.awaitingBack) {
+                this.awaitingBack = false;
+                this.deferredHistory.splice(0).forEach(([state, url]) => history.pushState(state, '', url));
+                return;
+            }
+
+            const state = event.state || {};
+
+            if (typeof state.flowModalDepth === 'number') {
+                while (this.stack.length > state.flowModalDepth) {
+                    this.dismiss(this.stack[this.stack.length - 1]);
+                }
+
+                // Forward button back into a modal
+                if (this.stack.length < state.flowModalDepth && state.flowModalId) {
+                    this.open(state.flowModalId, { history: false, trigger: null });
+                }
+                return;
+            }
+
+            // Plain hash navigation (e.g. an in-page link to #modal=leader)
+            const match = window.location.hash.match(MODAL_HASH_PATTERN);
+            if (match) {
+                if (this.open(match[1], { history: false })) {
+                    history.replaceState({ flowModalDepth: this.stack.length, flowModalId: match[1] }, '');
+                }
+            } else {
+                while (this.stack.length) {
+                    this.dismiss(this.stack[this.stack.length - 1]);
+                }
+            }
+        },
+
+        /**
+         * Open the modal named in the URL hash on page load
+         */
+        openFromLocation() {
+            const match = window.location.hash.match(MODAL_HASH_PATTERN);
+
+            // Give the page a base entry so Back closes the modal instead of leaving
+            const baseUrl = window.location.pathname + window.location.search;
+            history.replaceState({ ...(history.state || {}), flowModalDepth: 0 }, '', match ? baseUrl : window.location.href);
+
+            if (match) {
+                this.open(match[1], { trigger: null });
+            }
+        },
+
         handleEscape(event) {
-            if (event.key === 'Escape') {
-                Modal.close();
+            if (event.key === 'Escape' && Modal.current) {
+                event.preventDefault();
+                Modal.requestClose();
             }
         }
     };
@@ -254,73 +568,653 @@
             if (trigger) {
                 event.preventDefault();
                 const modalId = trigger.getAttribute('data-modal');
-                Modal.open(modalId);
+                Modal.open(modalId, { trigger });
             }
         });
 
         // Modal close buttons
         document.addEventListener('click', function(event) {
-            if (event.target.closest('[data-close-modal]')) {
-                Modal.close();
+            const closeButton = event.target.closest('[data-close-modal]');
+            if (closeButton) {
+                Modal.requestClose(closeButton.closest('.modal'));
+                return;
             }
             
             // Close on backdrop click
-            if (event.target.classList.contains('modal')) {
-                Modal.close();
+            if (event.target.classList.contains('modal') && event.target === Modal.current) {
+                Modal.requestClose(event.target);
             }
         });
+
+        // One Escape handler for the whole stack
+        document.addEventListener('keydown', Modal.handleEscape);
+
+        window.addEventListener('popstate', event => Modal.handlePopState(event));
+        Modal.openFromLocation();
     }
 
-    // ===== FORM FUNCTIONALITY =====
-    
+    // ===== PATHWAY MODALS =====
+
     /**
-     * Form validation
+     * Pathway packages from pathways.js (loaded on pages with pathway CTAs)
      */
-    function validateForm(form) {
-        const inputs = form.querySelectorAll('input[required], textarea[required], select[required]');
-        let isValid = true;
-        
-        inputs.forEach(input => {
-            const value = input.value.trim();
-            const type = input.type;
-            
-            // Remove existing error states
-            input.classList.remove('error');
-            
-            // Check if empty
-            if (!value) {
-                input.classList.add('error');
-                isValid = false;
-                return;
+    const PATHWAYS = window.FlowPathways || {};
+
+    /**
+     * Builds lead-capture modals from the pathway config on first open
+     */
+    const PathwayModals = {
+        /**
+         * Create the modal for a pathway, or return null for unknown ids
+         */
+        build(pathwayId) {
+            if (!Object.prototype.hasOwnProperty.call(PATHWAYS, pathwayId)) return null;
+
+            const config = PATHWAYS[pathwayId];
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.id = `${pathwayId}-modal`;
+            modal.innerHTML = `
+                <div class="modal__content">
+                    <div class="modal__header">
+                        <h3 class="modal__title"></h3>
+                        <button type="button" class="modal__close" data-close-modal>
+                            <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M18 6L6 18M6 6l12 12"/>
+                            </svg>
+                        </button>
+                    </div>
+                    <div class="modal__body">
+                        <p class="modal__description"></p>
+                    </div>
+                </div>
+            `;
+
+            modal.querySelector('.modal__title').textContent = config.title;
+            modal.querySelector('.modal__description').textContent = config.description;
+            modal.querySelector('.modal__body').appendChild(this.buildForm(pathwayId, config));
+
+            document.body.appendChild(modal);
+            return modal;
+        },
+
+        /**
+         * Create the lead form for a pathway
+         */
+        buildForm(pathwayId, config) {
+            const form = document.createElement('form');
+            form.className = 'download-form';
+            form.id = `${pathwayId}-form`;
+            form.dataset.pathway = pathwayId;
+            if (config.endpoint) form.dataset.endpoint = config.endpoint;
+            if (config.queueOffline === false) form.dataset.queueOffline = 'false';
+
+            config.fields.forEach(field => {
+                form.appendChild(this.buildField(pathwayId, field));
+            });
+
+            // Slot picker from booking.js (loaded on pages that offer consultations)
+            if (config.scheduler && window.FlowBooking) {
+                window.FlowBooking.mount(form);
             }
-            
-            // Email validation
-            if (type === 'email') {
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(value)) {
-                    input.classList.add('error');
-                    isValid = false;
+
+            SpamGuard.protect(form);
+
+            const submitButton = document.createElement('button');
+            submitButton.type = 'submit';
+            submitButton.className = 'btn btn--primary btn--full-width';
+            submitButton.textContent = config.submitLabel;
+            form.appendChild(submitButton);
+
+            FormValidator.enhance(form);
+            return form;
+        },
+
+        /**
+         * Create a labelled input, select or textarea carrying its validation rules as data attributes
+         */
+        buildField(pathwayId, field) {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const id = `${pathwayId}-${field.name}`;
+
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = id;
+            label.textContent = field.label;
+
+            let input;
+            if (field.type === 'textarea') {
+                input = document.createElement('textarea');
+                input.rows = 4;
+            } else if (field.type === 'select') {
+                input = document.createElement('select');
+                input.appendChild(new Option('Select...', ''));
+                field.options.forEach(option => input.appendChild(new Option(option, option)));
+            } else {
+                input = document.createElement('input');
+                input.type = field.type || 'text';
+            }
+
+            input.id = id;
+            input.name = field.name;
+            input.className = 'form-input';
+            input.required = Boolean(field.required);
+
+            if (field.autocomplete) input.autocomplete = field.autocomplete;
+            if (field.placeholder) input.placeholder = field.placeholder;
+            if (field.minLength) input.dataset.minLength = field.minLength;
+            if (field.maxLength) input.dataset.maxLength = field.maxLength;
+            if (field.pattern) input.dataset.pattern = field.pattern;
+            if (field.businessEmail) input.dataset.businessEmail = '';
+            if (field.match) input.dataset.match = field.match;
+            if (field.requiredWith) input.dataset.requiredWith = field.requiredWith;
+
+            group.appendChild(label);
+            group.appendChild(input);
+            return group;
+        }
+    };
+
+    // ===== FORM VALIDATION =====
+
+    /**
+     * Free-mail providers rejected by the data-business-email rule
+     * (free-mail-domains.js, loaded with pathways.js; the server checks the same list)
+     */
+    const FREE_MAIL_DOMAINS = window.FlowFreeMailDomains || [];
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    /**
+     * Validation rules, checked in order; the first failing rule wins.
+     *
+     * Markup drives everything:
+     *   required                     - field must not be empty
+     *   type="email"                 - must look like an email address
+     *   data-min-length / data-max-length="n"
+     *   data-pattern="regex"         - whole value must match
+     *   data-business-email          - rejects free-mail domains
+     *   data-match="otherField"      - must equal another field (by name)
+     *   data-required-with="field"   - required once another field has a value
+     * Any message can be overridden with data-<rule>-message, e.g. data-pattern-message.
+     */
+    const VALIDATION_RULES = [
+        {
+            name: 'required',
+            applies: input => input.required,
+            test: value => value !== '',
+            message: () => 'This field is required.'
+        },
+        {
+            name: 'required-with',
+            applies: input => input.hasAttribute('data-required-with'),
+            test: (value, input, form) => {
+                const other = form.elements[input.dataset.requiredWith];
+                return value !== '' || !other || other.value.trim() === '';
+            },
+            message: input => `Please fill this in as well as ${getFieldLabel(input.form.elements[input.dataset.requiredWith])}.`
+        },
+        {
+            name: 'email',
+            applies: input => input.type === 'email',
+            test: value => EMAIL_PATTERN.test(value),
+            message: () => 'Please enter a valid email address.'
+        },
+        {
+            name: 'min-length',
+            applies: input => input.hasAttribute('data-min-length'),
+            test: (value, input) => value.length >= parseInt(input.dataset.minLength, 10),
+            message: input => `Please enter at least ${input.dataset.minLength} characters.`
+        },
+        {
+            name: 'max-length',
+            applies: input => input.hasAttribute('data-max-length'),
+            test: (value, input) => value.length <= parseInt(input.dataset.maxLength, 10),
+            message: input => `Please keep this under ${input.dataset.maxLength} characters.`
+        },
+        {
+            name: 'pattern',
+            applies: input => input.hasAttribute('data-pattern'),
+            test: (value, input) => new RegExp(`^(?:${input.dataset.pattern})$`).test(value),
+            message: () => 'Please match the requested format.'
+        },
+        {
+            name: 'business-email',
+            applies: input => input.hasAttribute('data-business-email'),
+            test: value => !FREE_MAIL_DOMAINS.includes(value.split('@').pop().toLowerCase()),
+            message: () => 'Please use your work email address.'
+        },
+        {
+            name: 'match',
+            applies: input => input.hasAttribute('data-match'),
+            test: (value, input, form) => {
+                const other = form.elements[input.dataset.match];
+                return !other || value === other.value.trim();
+            },
+            message: input => `This must match ${getFieldLabel(input.form.elements[input.dataset.match])}.`
+        }
+    ];
+
+    /**
+     * Human-readable field name from its label
+     */
+    function getFieldLabel(input) {
+        if (!input) return 'the related field';
+
+        const label = input.labels && input.labels[0];
+        return label ? `the ${label.textContent.trim().toLowerCase()} field` : 'the related field';
+    }
+
+    /**
+     * Declarative form validator with inline, accessible error messages
+     */
+    const FormValidator = {
+        selector: '.download-form',
+
+        /**
+         * Prepare a form: take over from native bubbles and give fields stable ids
+         */
+        enhance(form) {
+            if (form.dataset.validatorReady) return;
+
+            form.noValidate = true;
+            form.dataset.validatorReady = 'true';
+
+            this.getFields(form).forEach((input, index) => {
+                if (!input.id) {
+                    input.id = `${form.id || 'form'}-field-${index}`;
                 }
+            });
+        },
+
+        /**
+         * Fields that take part in validation
+         */
+        getFields(form) {
+            const seenGroups = new Set();
+
+            return Array.from(form.querySelectorAll('input, textarea, select')).filter(input => {
+                if (['hidden', 'submit', 'button'].includes(input.type) || input.disabled) return false;
+                if (input.closest('.form-honeypot')) return false;
+
+                // A radio group is validated once, through its first radio
+                if (input.type === 'radio') {
+                    if (seenGroups.has(input.name)) return false;
+                    seenGroups.add(input.name);
+                }
+                return true;
+            });
+        },
+
+        /**
+         * The element that represents an input for validation (first radio of a group)
+         */
+        getField(input) {
+            if (input.type !== 'radio' || !input.form) return input;
+            return input.form.querySelector(`input[type="radio"][name="${input.name}"]`) || input;
+        },
+
+        /**
+         * Current value; radio groups report their checked value
+         */
+        getValue(input) {
+            if (input.type === 'radio') {
+                const checked = input.form && input.form.querySelector(`input[type="radio"][name="${input.name}"]:checked`);
+                return checked ? checked.value : '';
+            }
+            return input.value.trim();
+        },
+
+        /**
+         * Return the first error message for a field, or '' when valid
+         */
+        check(input) {
+            const value = this.getValue(input);
+            const form = input.form;
+
+            // Optional fields are only checked once they have a value
+            const isEmptyOptional = value === '' && !input.required && !input.hasAttribute('data-required-with');
+
+            for (const rule of VALIDATION_RULES) {
+                if (!rule.applies(input)) continue;
+                if (isEmptyOptional) break;
+                if (value === '' && rule.name !== 'required' && rule.name !== 'required-with') continue;
+
+                if (!rule.test(value, input, form)) {
+                    const customMessage = input.getAttribute(`data-${rule.name}-message`);
+                    return customMessage || rule.message(input);
+                }
+            }
+
+            return '';
+        },
+
+        /**
+         * Validate one field and render its inline state
+         */
+        validateField(input) {
+            const message = this.check(input);
+
+            if (message) {
+                this.showError(input, message);
+            } else {
+                this.clearError(input);
+            }
+
+            return !message;
+        },
+
+        /**
+         * Validate every field; focuses the first invalid one
+         */
+        validateForm(form) {
+            this.enhance(form);
+
+            const invalid = this.getFields(form).filter(input => {
+                input.dataset.touched = 'true';
+                return !this.validateField(input);
+            });
+
+            if (invalid.length > 0) {
+                invalid[0].focus();
+                announceToScreenReader(invalid.length === 1
+                    ? '1 field needs your attention.'
+                    : `${invalid.length} fields need your attention.`);
             }
+
+            return invalid.length === 0;
+        },
+
+        /**
+         * Render an inline error linked through aria-describedby
+         */
+        showError(input, message) {
+            const errorId = `${input.id}-error`;
+            let error = document.getElementById(errorId);
+
+            if (!error) {
+                error = document.createElement('p');
+                error.id = errorId;
+                error.className = 'form-error';
+
+                // Radio groups show one message below the whole group
+                const group = input.type === 'radio' && (input.closest('fieldset') || input.closest('.form-group'));
+                if (group) {
+                    group.appendChild(error);
+                } else {
+                    input.insertAdjacentElement('afterend', error);
+                }
+            }
+
+            error.textContent = message;
+            input.classList.add('error');
+            input.setAttribute('aria-invalid', 'true');
+
+            const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+            if (!describedBy.includes(errorId)) {
+                describedBy.push(errorId);
+                input.setAttribute('aria-describedby', describedBy.join(' '));
+            }
+        },
+
+        /**
+         * Remove a field's inline error
+         */
+        clearError(input) {
+            const errorId = `${input.id}-error`;
+            const error = document.getElementById(errorId);
+            if (error) error.remove();
+
+            input.classList.remove('error');
+            input.removeAttribute('aria-invalid');
+
+            const describedBy = (input.getAttribute('aria-describedby') || '').split(' ')
+                .filter(id => id && id !== errorId);
+            if (describedBy.length) {
+                input.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                input.removeAttribute('aria-describedby');
+            }
+        },
+
+        /**
+         * Clear all errors, e.g. after a form reset
+         */
+        reset(form) {
+            this.getFields(form).forEach(input => {
+                delete input.dataset.touched;
+                this.clearError(input);
+            });
+        },
+
+        /**
+         * Live re-validation: on blur, and on input once a field has been visited
+         */
+        init() {
+            document.querySelectorAll(this.selector).forEach(form => this.enhance(form));
+
+            document.addEventListener('focusout', event => {
+                if (!event.target.form || !event.target.form.matches(this.selector)) return;
+                const input = this.getField(event.target);
+                if (!this.getFields(input.form).includes(input)) return;
+
+                // Leaving an untouched empty field is not an error yet
+                if (!input.dataset.touched && this.getValue(input) === '') return;
+
+                input.dataset.touched = 'true';
+                this.validateField(input);
+            });
+
+            document.addEventListener('input', event => {
+                if (!event.target.form || !event.target.form.matches(this.selector)) return;
+                const input = this.getField(event.target);
+                if (!input.dataset.touched) return;
+
+                this.validateField(input);
+
+                // Re-check fields that depend on this one
+                const dependents = input.form.querySelectorAll(
+                    `[data-match="${input.name}"], [data-required-with="${input.name}"]`
+                );
+                dependents.forEach(dependent => {
+                    if (dependent.dataset.touched) this.validateField(dependent);
+                });
+            });
+        }
+    };
+
+    // ===== SPAM PROTECTION =====
+
+    /**
+     * Bot signals checked by server/spam.js: a honeypot field people never see
+     * and the time between the form appearing and being submitted
+     */
+    const SpamGuard = {
+        honeypotField: 'website',
+
+        /**
+         * Add the honeypot and start the clock (again after every reset)
+         */
+        protect(form) {
+            if (form.dataset.protected) return;
+            form.dataset.protected = 'true';
+
+            const honeypotId = `${form.id || 'form'}-${this.honeypotField}`;
+            const honeypot = document.createElement('div');
+            honeypot.className = 'form-honeypot';
+            honeypot.setAttribute('aria-hidden', 'true');
+            honeypot.innerHTML = `
+                <label for="${honeypotId}">Leave this field empty</label>
+                <input type="text" id="${honeypotId}" name="${this.honeypotField}" tabindex="-1" autocomplete="off">
+            `;
+
+            form.insertBefore(honeypot, form.querySelector('button[type="submit"]'));
+
+            this.stamp(form);
+            form.addEventListener('reset', () => this.stamp(form));
+        },
+
+        stamp(form) {
+            form.dataset.startedAt = String(Date.now());
+        },
+
+        /**
+         * Milliseconds since the form was shown or last reset
+         */
+        getElapsed(form) {
+            const startedAt = Number(form.dataset.startedAt);
+            return startedAt ? Date.now() - startedAt : null;
+        },
+
+        /**
+         * Protect forms already in the page; pathway forms are protected as they are built
+         */
+        init() {
+            document.querySelectorAll('form').forEach(form => this.protect(form));
+        }
+    };
+
+    /**
+     * Lead capture endpoint served by server/index.js
+     */
+    const LEADS_ENDPOINT = '/api/leads';
+
+    /**
+     * Determine which pathway a form belongs to from its modal (e.g. leader-modal -> leader)
+     */
+    function getFormPathway(form) {
+        if (form.dataset.pathway) return form.dataset.pathway;
+
+        const modal = form.closest('.modal');
+        return modal ? modal.id.replace(/-modal$/, '') : '';
+    }
+
+    /**
+     * Collect form fields into a lead payload
+     */
+    function getLeadPayload(form) {
+        const payload = {};
+
+        new FormData(form).forEach((value, key) => {
+            payload[key] = typeof value === 'string' ? value.trim() : value;
+        });
+
+        payload.pathway = getFormPathway(form);
+        payload.page = window.location.pathname;
+        payload.elapsedMs = SpamGuard.getElapsed(form);
+
+        return payload;
+    }
+
+    /**
+     * Send a lead to the server, rejecting with the server's message on failure
+     */
+    async function submitLead(payload, endpoint = LEADS_ENDPOINT) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(result.message || 'We could not submit your request. Please try again.');
+            error.status = response.status;
+            error.fields = result.fields || {};
+            throw error;
+        }
+
+        return result;
+    }
+
+    /**
+     * Show the server's field errors inline
+     */
+    function markServerErrors(form, fields) {
+        Object.keys(fields).forEach(name => {
+            let input = form.elements[name];
+
+            // Radio groups come back as a RadioNodeList
+            if (input && !input.classList && input.length) input = input[0];
+            if (input && input.classList) FormValidator.showError(input, fields[name]);
         });
+    }
+
+    /**
+     * Wrap up a submission that was sent or queued.
+     *
+     * Fires a cancelable `flow:submitted` event on the form first; listeners that
+     * show their own confirmation (e.g. booking.js) call preventDefault().
+     * Otherwise the pathway's resource is delivered, or `message` is shown.
+     */
+    function completeSubmission(form, message, type, detail = {}) {
+        const submitted = new CustomEvent('flow:submitted', { bubbles: true, cancelable: true, detail });
+        
+        if (form.dispatchEvent(submitted)) {
+            if (detail.result && detail.result.download) {
+                deliverResource(detail.result.download, { autoStart: true });
+            } else {
+                showNotification(message, type);
+            }
+        }
         
-        return isValid;
+        // Close modal if form is in modal
+        const modal = form.closest('.modal');
+        if (modal) {
+            Modal.close(modal);
+        }
+        
+        // Reset form
+        form.reset();
+        FormValidator.reset(form);
+    }
+
+    /**
+     * Send a lead, falling back to the offline queue when the network is unavailable.
+     * Forms can post elsewhere with data-endpoint and opt out of queueing with
+     * data-queue-offline="false" (e.g. bookings, where a slot may be gone later).
+     * Resolves with `{ queued, result }`.
+     */
+    async function sendOrQueueLead(form, payload) {
+        const endpoint = form.dataset.endpoint || LEADS_ENDPOINT;
+        const queueable = canQueueLeads() && endpoint === LEADS_ENDPOINT && form.dataset.queueOffline !== 'false';
+
+        if (queueable && navigator.onLine === false) {
+            await queueLead(payload);
+            return { queued: true, result: null };
+        }
+
+        try {
+            return { queued: false, result: await submitLead(payload, endpoint) };
+        } catch (error) {
+            if (!queueable || !isRetryableError(error)) throw error;
+
+            try {
+                await queueLead(payload);
+            } catch (queueError) {
+                console.warn('Could not queue lead for later submission', queueError);
+                throw error;
+            }
+            return { queued: true, result: null };
+        }
     }
 
     /**
      * Handle form submissions
      */
     function handleFormSubmissions() {
-        document.addEventListener('submit', function(event) {
+        document.addEventListener('submit', async function(event) {
             event.preventDefault();
             
             const form = event.target;
             const submitButton = form.querySelector('button[type="submit"]');
             const originalText = submitButton.textContent;
             
-            if (!validateForm(form)) {
-                // Show error message
-                showNotification('Please fill in all required fields correctly.', 'error');
+            // Inline errors explain what needs fixing; focus moves to the first one
+            if (!FormValidator.validateForm(form)) {
                 return;
             }
             
@@ -328,108 +1222,446 @@
             submitButton.textContent = 'Processing...';
             submitButton.disabled = true;
             
-            // Simulate form submission
-            setTimeout(() => {
+            try {
+                const payload = getLeadPayload(form);
+                const { queued, result } = await sendOrQueueLead(form, payload);
+
+                trackEvent('form_submit', { form: payload.pathway, queued });
+                
+                if (queued) {
+                    completeSubmission(form, 'You appear to be offline. Your request is saved and will be sent automatically once you reconnect.', 'info', { payload, queued });
+                } else {
+                    completeSubmission(form, 'Thank you! Your request has been submitted.', 'success', { payload, queued, result });
+                }
+            } catch (error) {
+                form.dispatchEvent(new CustomEvent('flow:submit-failed', { bubbles: true, detail: { error } }));
+                trackEvent('form_error', { form: getFormPathway(form), status: error.status || 0 });
+
+                if (error.fields) {
+                    markServerErrors(form, error.fields);
+                }
+
+                if (error.status) {
+                    showNotification(error.message, 'error');
+                } else {
+                    showNotification('We could not reach the server.', 'error', {
+                        actions: [{ label: 'Retry', onClick: () => form.requestSubmit() }]
+                    });
+                }
+            } finally {
                 // Reset button
                 submitButton.textContent = originalText;
                 submitButton.disabled = false;
-                
-                // Show success message
-                showNotification('Thank you! Your request has been submitted.', 'success');
-                
-                // Close modal if form is in modal
-                const modal = form.closest('.modal');
-                if (modal) {
-                    Modal.close(modal);
+            }
+        });
+    }
+
+    // ===== OFFLINE SUBMISSION QUEUE =====
+
+    /**
+     * IndexedDB queue from lead-queue.js (only loaded on pages with lead forms)
+     */
+    const LeadQueue = window.FlowLeadQueue;
+
+    // Set once the service worker accepts a sync registration; it then owns the replay
+    let backgroundSyncRegistered = false;
+
+    /**
+     * Check whether failed leads can be stored for later
+     */
+    function canQueueLeads() {
+        return Boolean(LeadQueue && LeadQueue.isSupported());
+    }
+
+    /**
+     * Network failures and unreachable upstreams are worth retrying; validation errors are not
+     */
+    function isRetryableError(error) {
+        return !error.status || [502, 503, 504].includes(error.status);
+    }
+
+    /**
+     * Store a lead and ask the service worker to replay it when connectivity returns
+     */
+    async function queueLead(payload) {
+        await LeadQueue.enqueue(payload);
+        requestBackgroundSync();
+    }
+
+    /**
+     * Register a Background Sync with the service worker, when supported
+     */
+    function requestBackgroundSync() {
+        if (!('serviceWorker' in navigator) || !('SyncManager' in window)) return;
+
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync.register(LeadQueue.SYNC_TAG))
+            .then(() => {
+                backgroundSyncRegistered = true;
+            })
+            .catch(error => console.warn('Background sync unavailable, replaying on reconnect instead', error));
+    }
+
+    /**
+     * Tell the visitor how the replay went and offer any resources it unlocked
+     */
+    function reportReplayedLeads(sent, rejected, downloads = []) {
+        if (sent.length === 1) {
+            showNotification('Your queued request has been submitted. Thank you!', 'success');
+        } else if (sent.length > 1) {
+            showNotification(`${sent.length} queued requests have been submitted. Thank you!`, 'success');
+        }
+
+        rejected.forEach(item => {
+            showNotification(`A queued request could not be submitted: ${item.message}`, 'error');
+        });
+
+        // The visitor may be elsewhere by now, so offer the download instead of starting it
+        downloads.forEach(download => deliverResource(download, { autoStart: false }));
+    }
+
+    /**
+     * Replay queued leads from the page (used when Background Sync is unavailable)
+     */
+    async function replayQueuedLeads() {
+        if (!canQueueLeads() || backgroundSyncRegistered) return;
+
+        try {
+            const result = await LeadQueue.flush(payload => submitLead(payload));
+            reportReplayedLeads(
+                result.sent.map(item => item.payload),
+                result.rejected.map(item => ({ payload: item.payload, message: item.error.message })),
+                result.sent.map(item => item.response && item.response.download).filter(Boolean)
+            );
+        } catch (error) {
+            console.warn('Could not replay queued leads', error);
+        }
+    }
+
+    /**
+     * Register the service worker and replay queued leads when back online
+     */
+    function initOfflineQueue() {
+        if (!canQueueLeads()) return;
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.warn('Service worker registration failed', error);
+            });
+
+            navigator.serviceWorker.addEventListener('message', event => {
+                if (event.data && event.data.type === 'flow-lead-sync') {
+                    reportReplayedLeads(event.data.sent, event.data.rejected, event.data.downloads);
                 }
-                
-                // Reset form
-                form.reset();
-                
-                // In a real implementation, you would send the data to your server here
-                console.log('Form data:', new FormData(form));
-                
-            }, 2000);
+            });
+        }
+
+        window.addEventListener('online', replayQueuedLeads);
+
+        // Leads left over from an earlier visit
+        if (navigator.onLine) {
+            replayQueuedLeads();
+        }
+    }
+
+    // ===== RESOURCE DOWNLOADS =====
+
+    /**
+     * Start a file download without leaving the page
+     */
+    function downloadFile(url, fileName = '') {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * Hand over a pathway resource from its signed, expiring link.
+     * The toast keeps a download button in case the browser blocked the automatic start.
+     */
+    function deliverResource(download, { autoStart = true } = {}) {
+        const expires = new Date(download.expiresAt).toLocaleString(undefined, {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit'
         });
+
+        if (autoStart) {
+            downloadFile(download.url, download.file);
+            trackEvent('resource_download', { file: download.file });
+        }
+
+        showNotification(
+            autoStart
+                ? `Thank you! Your ${download.title} is downloading. The link works until ${expires}.`
+                : `Your ${download.title} is ready. The link works until ${expires}.`,
+            'success',
+            {
+                duration: 0,
+                actions: [{
+                    label: autoStart ? 'Download again' : 'Download',
+                    onClick: () => {
+                        downloadFile(download.url, download.file);
+                        trackEvent('resource_download', { file: download.file });
+                    },
+                    dismiss: false
+                }]
+            }
+        );
     }
 
     // ===== NOTIFICATION SYSTEM =====
-    
+
+    const NOTIFICATION_DEFAULT_DURATION = 5000;
+    const NOTIFICATION_ACTION_DURATION = 10000;
+
     /**
-     * Show notification
+     * Notification center
+     *
+     * Toasts stack (up to `maxVisible`) and queue beyond that. Auto-dismiss pauses while
+     * a toast is hovered or focused. Messages are rendered as text and announced through
+     * persistent aria-live regions. Each call returns a handle whose `closed` promise
+     * resolves with `{ reason, action }` ('action', 'dismissed', 'timeout' or 'cleared').
      */
-    function showNotification(message, type = 'info') {
-        // Remove existing notifications
-        const existingNotifications = document.querySelectorAll('.notification');
-        existingNotifications.forEach(notification => notification.remove());
-        
-        const notification = document.createElement('div');
-        notification.className = `notification notification--${type}`;
-        notification.innerHTML = `
-            <div class="notification__content">
-                <span class="notification__message">${message}</span>
-                <button class="notification__close" onclick="this.parentElement.parentElement.remove()">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                        <path d="M18 6L6 18M6 6l12 12"/>
-                    </svg>
-                </button>
-            </div>
-        `;
-        
-        // Add styles if not already added
-        if (!document.querySelector('#notification-styles')) {
-            const style = document.createElement('style');
-            style.id = 'notification-styles';
-            style.textContent = `
-                .notification {
-                    position: fixed;
-                    top: 100px;
-                    right: 20px;
-                    background: white;
-                    border-radius: 8px;
-                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-                    z-index: 3000;
-                    max-width: 400px;
-                    transform: translateX(100%);
-                    transition: transform 0.3s ease-out;
-                }
-                .notification--success { border-left: 4px solid #10b981; }
-                .notification--error { border-left: 4px solid #ef4444; }
-                .notification--info { border-left: 4px solid #3b82f6; }
-                .notification.show { transform: translateX(0); }
-                .notification__content {
-                    display: flex;
-                    align-items: center;
-                    justify-content: space-between;
-                    padding: 16px;
-                    gap: 12px;
-                }
-                .notification__message {
-                    font-size: 14px;
-                    color: #374151;
-                }
-                .notification__close {
-                    color: #6b7280;
-                    cursor: pointer;
-                    transition: color 0.15s ease;
+    const NotificationCenter = {
+        maxVisible: 3,
+        visible: [],
+        queue: [],
+        container: null,
+        liveRegions: null,
+        nextId: 1,
+
+        /**
+         * Queue a toast and return its handle
+         */
+        show(message, type = 'info', options = {}) {
+            const actions = options.actions || [];
+            const toast = {
+                id: this.nextId++,
+                message: String(message),
+                type,
+                actions,
+                duration: typeof options.duration === 'number'
+                    ? options.duration
+                    : (actions.length ? NOTIFICATION_ACTION_DURATION : NOTIFICATION_DEFAULT_DURATION),
+                element: null,
+                timer: null,
+                remaining: 0,
+                startedAt: 0,
+                hovered: false,
+                focused: false,
+                settled: false
+            };
+
+            const closed = new Promise(resolve => {
+                toast.resolve = resolve;
+            });
+
+            this.queue.push(toast);
+            this.pump();
+
+            return {
+                id: toast.id,
+                closed,
+                dismiss: () => this.dismiss(toast, 'dismissed')
+            };
+        },
+
+        /**
+         * Move queued toasts on screen while there is room
+         */
+        pump() {
+            while (this.visible.length < this.maxVisible && this.queue.length) {
+                this.render(this.queue.shift());
+            }
+        },
+
+        /**
+         * Build the toast element (text only, no HTML injection) and start its timer
+         */
+        render(toast) {
+            this.ensureContainer();
+
+            const element = document.createElement('div');
+            element.className = `notification notification--${toast.type}`;
+            element.dataset.notificationId = toast.id;
+
+            const content = document.createElement('div');
+            content.className = 'notification__content';
+
+            const message = document.createElement('span');
+            message.className = 'notification__message';
+            message.textContent = toast.message;
+            content.appendChild(message);
+
+            if (toast.actions.length) {
+                const actions = document.createElement('div');
+                actions.className = 'notification__actions';
+
+                toast.actions.forEach(action => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'notification__action';
+                    button.textContent = action.label;
+                    button.addEventListener('click', () => {
+                        if (typeof action.onClick === 'function') action.onClick();
+                        if (action.dismiss !== false) this.dismiss(toast, 'action', action.label);
+                    });
+                    actions.appendChild(button);
+                });
+
+                content.appendChild(actions);
+            }
+
+            const closeButton = document.createElement('button');
+            closeButton.type = 'button';
+            closeButton.className = 'notification__close';
+            closeButton.setAttribute('aria-label', 'Dismiss notification');
+            closeButton.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="M18 6L6 18M6 6l12 12"/>
+                </svg>
+            `;
+            closeButton.addEventListener('click', () => this.dismiss(toast, 'dismissed'));
+            content.appendChild(closeButton);
+
+            element.appendChild(content);
+
+            // Pause auto-dismiss while the visitor is reading or interacting
+            element.addEventListener('mouseenter', () => { toast.hovered = true; this.updateTimer(toast); });
+            element.addEventListener('mouseleave', () => { toast.hovered = false; this.updateTimer(toast); });
+            element.addEventListener('focusin', () => { toast.focused = true; this.updateTimer(toast); });
+            element.addEventListener('focusout', event => {
+                if (!element.contains(event.relatedTarget)) {
+                    toast.focused = false;
+                    this.updateTimer(toast);
                 }
-                .notification__close:hover {
-                    color: #374151;
+            });
+
+            toast.element = element;
+            toast.remaining = toast.duration;
+            this.visible.push(toast);
+            this.container.appendChild(element);
+
+            this.announce(toast.message, toast.type === 'error' ? 'assertive' : 'polite');
+
+            // Trigger animation
+            setTimeout(() => element.classList.add('show'), 10);
+            this.updateTimer(toast);
+        },
+
+        /**
+         * Start or pause the auto-dismiss countdown based on hover/focus
+         */
+        updateTimer(toast) {
+            if (toast.settled || toast.duration <= 0) return;
+
+            const paused = toast.hovered || toast.focused;
+
+            if (paused && toast.timer) {
+                clearTimeout(toast.timer);
+                toast.timer = null;
+                toast.remaining -= Date.now() - toast.startedAt;
+            } else if (!paused && !toast.timer) {
+                toast.startedAt = Date.now();
+                toast.timer = setTimeout(() => this.dismiss(toast, 'timeout'), Math.max(toast.remaining, 1000));
+            }
+        },
+
+        /**
+         * Remove a toast (queued or visible) and settle its promise
+         */
+        dismiss(toast, reason, action = null) {
+            if (toast.settled) return;
+            toast.settled = true;
+            clearTimeout(toast.timer);
+
+            const queuedIndex = this.queue.indexOf(toast);
+            if (queuedIndex !== -1) {
+                this.queue.splice(queuedIndex, 1);
+            }
+
+            const visibleIndex = this.visible.indexOf(toast);
+            if (visibleIndex !== -1) {
+                this.visible.splice(visibleIndex, 1);
+
+                const element = toast.element;
+                const hadFocus = element.contains(document.activeElement);
+                element.classList.remove('show');
+                setTimeout(() => element.remove(), 300);
+
+                // Don't strand keyboard users on a removed toast
+                if (hadFocus) {
+                    const next = this.visible[this.visible.length - 1];
+                    if (next) next.element.querySelector('button').focus();
                 }
-            `;
-            document.head.appendChild(style);
+            }
+
+            toast.resolve({ reason, action });
+            this.pump();
+        },
+
+        /**
+         * Dismiss everything, including queued toasts
+         */
+        clear() {
+            this.queue.concat(this.visible).forEach(toast => this.dismiss(toast, 'cleared'));
+        },
+
+        /**
+         * Create the stacking container and the persistent live regions
+         */
+        ensureContainer() {
+            if (this.container && document.body.contains(this.container)) return;
+
+            this.container = document.createElement('div');
+            this.container.className = 'notification-center';
+            document.body.appendChild(this.container);
+
+            this.ensureLiveRegions();
+        },
+
+        ensureLiveRegions() {
+            if (this.liveRegions) return;
+
+            const createRegion = (politeness, role) => {
+                const region = document.createElement('div');
+                region.className = 'sr-only';
+                region.setAttribute('role', role);
+                region.setAttribute('aria-live', politeness);
+                region.setAttribute('aria-atomic', 'true');
+                document.body.appendChild(region);
+                return region;
+            };
+
+            this.liveRegions = {
+                polite: createRegion('polite', 'status'),
+                assertive: createRegion('assertive', 'alert')
+            };
+        },
+
+        /**
+         * Announce a message; clearing first makes repeats of the same text audible
+         */
+        announce(message, politeness = 'polite') {
+            this.ensureLiveRegions();
+
+            const region = this.liveRegions[politeness] || this.liveRegions.polite;
+            region.textContent = '';
+            setTimeout(() => {
+                region.textContent = message;
+            }, 50);
         }
-        
-        document.body.appendChild(notification);
-        
-        // Trigger animation
-        setTimeout(() => notification.classList.add('show'), 10);
-        
-        // Auto remove after 5 seconds
-        setTimeout(() => {
-            notification.style.transform = 'translateX(100%)';
-            setTimeout(() => notification.remove(), 300);
-        }, 5000);
+    };
+
+    /**
+     * Show notification; returns a handle with `dismiss()` and a `closed` promise
+     */
+    function showNotification(message, type = 'info', options = {}) {
+        return NotificationCenter.show(message, type, options);
     }
 
     // ===== PERFORMANCE OPTIMIZATIONS =====
@@ -479,6 +1711,35 @@
         });
     }
 
+    // ===== SCROLL DEPTH =====
+
+    const SCROLL_DEPTH_MARKS = [25, 50, 75, 100];
+
+    /**
+     * Track each scroll depth mark (percent of the page) once per page view
+     */
+    function initScrollDepthTracking() {
+        const reached = new Set();
+
+        const checkDepth = throttle(() => {
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const percent = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+
+            SCROLL_DEPTH_MARKS.forEach(mark => {
+                if (percent >= mark - 1 && !reached.has(mark)) {
+                    reached.add(mark);
+                    trackEvent('scroll_depth', { depth: mark });
+                }
+            });
+
+            if (reached.size === SCROLL_DEPTH_MARKS.length) {
+                window.removeEventListener('scroll', checkDepth);
+            }
+        }, 500);
+
+        window.addEventListener('scroll', checkDepth, { passive: true });
+    }
+
     // ===== ACCESSIBILITY ENHANCEMENTS =====
     
     /**
@@ -488,9 +1749,7 @@
         // Trap focus in modal
         document.addEventListener('keydown', function(event) {
             if (event.key === 'Tab' && Modal.current) {
-                const focusableElements = Modal.current.querySelectorAll(
-                    'a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])'
-                );
+                const focusableElements = Modal.current.querySelectorAll(FOCUSABLE_SELECTOR);
                 
                 if (focusableElements.length === 0) return;
                 
@@ -498,12 +1757,12 @@
                 const lastElement = focusableElements[focusableElements.length - 1];
                 
                 if (event.shiftKey) {
-                    if (document.activeElement === firstElement) {
+                    if (document.activeElement === firstElement || !Modal.current.contains(document.activeElement)) {
                         lastElement.focus();
                         event.preventDefault();
                     }
                 } else {
-                    if (document.activeElement === lastElement) {
+                    if (document.activeElement === lastElement || !Modal.current.contains(document.activeElement)) {
                         firstElement.focus();
                         event.preventDefault();
                     }
@@ -543,23 +1802,7 @@
      * Announce dynamic content changes to screen readers
      */
     function announceToScreenReader(message) {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.style.cssText = `
-            position: absolute;
-            left: -10000px;
-            width: 1px;
-            height: 1px;
-            overflow: hidden;
-        `;
-        announcement.textContent = message;
-        
-        document.body.appendChild(announcement);
-        
-        setTimeout(() => {
-            document.body.removeChild(announcement);
-        }, 1000);
+        NotificationCenter.announce(message, 'polite');
     }
 
     // ===== INITIALIZATION =====
@@ -595,9 +1838,13 @@
         // Initialize features
         initScrollAnimations();
         handleModalTriggers();
+        FormValidator.init();
+        SpamGuard.init();
         handleFormSubmissions();
+        initOfflineQueue();
         initLazyLoading();
         initKeyboardNavigation();
+        initScrollDepthTracking();
         preloadCriticalResources();
         
         // Initial calls
@@ -625,7 +1872,11 @@
     if (typeof window !== 'undefined') {
         window.FlowInnovation = {
             Modal,
+            PathwayModals,
+            FormValidator,
+            NotificationCenter,
             showNotification,
+            downloadFile,
             announceToScreenReader
         };
     }
@@ -0,0 +1,105 @@
+/**
+ * Flow Innovation - Pathway Packages
+ * Single source of truth for the pathway modals (browser) and lead validation (server).
+ *
+ * To add a package: add an entry below and point a button at it with
+ * data-modal="<key>". main.js builds the modal the first time it is opened.
+ */
+
+(function(root) {
+    'use strict';
+
+    /**
+     * Common field definitions; override any property per pathway
+     */
+    const FIELDS = {
+        name: { name: 'name', label: 'Name', type: 'text', autocomplete: 'name', required: true, minLength: 2, maxLength: 200 },
+        email: { name: 'email', label: 'Email', type: 'email', autocomplete: 'email', required: true, maxLength: 200 },
+        company: { name: 'company', label: 'Company', type: 'text', autocomplete: 'organization', maxLength: 200 },
+        role: { name: 'role', label: 'Role', type: 'text', autocomplete: 'organization-title', maxLength: 200 },
+        organizationSize: {
+            name: 'organizationSize',
+            label: 'Organization size',
+            type: 'select',
+            options: ['Under 200', '200 - 1,000', '1,000 - 10,000', '10,000+']
+        },
+        message: { name: 'message', label: 'What would you like to achieve?', type: 'textarea', maxLength: 2000 }
+    };
+
+    /**
+     * Copy a common field with per-pathway overrides
+     */
+    function field(key, overrides = {}) {
+        return { ...FIELDS[key], ...overrides };
+    }
+
+    const PATHWAYS = {
+        overview: {
+            title: 'Download Flow Innovation Overview',
+            description: 'Get the complete methodology overview including the seven principles, implementation framework, and real-world applications.',
+            fields: [field('name'), field('email'), field('company'), field('role')],
+            submitLabel: 'Download Overview',
+            resource: { file: 'flow-innovation-overview.pdf', title: 'Flow Innovation Overview' }
+        },
+
+        leader: {
+            title: 'Innovation Leader Package',
+            description: 'Get everything you need to lead Flow Innovation transformation in your organization, including strategic frameworks and implementation roadmaps.',
+            fields: [
+                field('name'),
+                field('email', { businessEmail: true }),
+                field('company', { required: true }),
+                field('role', { label: 'Role/Title', required: true })
+            ],
+            submitLabel: 'Download Leadership Package',
+            resource: { file: 'flow-innovation-leadership-package.pdf', title: 'Innovation Leader Package' }
+        },
+
+        team: {
+            title: 'Innovation Team Resources',
+            description: 'Get the seven principles deep-dive, practical exercises and team implementation guides, plus an invitation to the practitioner community.',
+            fields: [field('name'), field('email'), field('company'), field('role')],
+            submitLabel: 'Access Team Resources',
+            resource: { file: 'flow-innovation-team-resources.pdf', title: 'Innovation Team Resources' }
+        },
+
+        executive: {
+            title: 'Executive Brief',
+            description: 'A concise strategic overview with ROI and business case templates, an organizational readiness assessment and an implementation timeline.',
+            fields: [
+                field('name'),
+                field('email', { businessEmail: true }),
+                field('company', { required: true }),
+                field('role', { label: 'Role/Title', required: true }),
+                field('organizationSize')
+            ],
+            submitLabel: 'Get Executive Brief',
+            resource: { file: 'flow-innovation-executive-brief.pdf', title: 'Executive Brief' }
+        },
+
+        consultation: {
+            title: 'Book a Consultation',
+            description: 'Pick a time for a 30-minute introductory call with a Flow Innovation practitioner. We will explore whether guided implementation is the right fit for your organization.',
+            fields: [
+                field('name'),
+                field('email', { businessEmail: true }),
+                field('company', { required: true }),
+                field('role'),
+                field('message')
+            ],
+            submitLabel: 'Book Consultation',
+            resource: null,
+            // Adds the slot picker from booking.js and posts to the booking API instead of /api/leads
+            scheduler: true,
+            endpoint: '/api/bookings',
+            queueOffline: false
+        }
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = PATHWAYS;
+    } else {
+        root.FlowPathways = PATHWAYS;
+    }
+
+})(typeof self !== 'undefined' ? self : this);
@@ -6,12 +6,149 @@
 (function() {
     'use strict';
 
+    /**
+     * Forward an event to analytics.js when it is loaded
+     */
+    function trackEvent(name, properties) {
+        if (window.FlowAnalytics) {
+            window.FlowAnalytics.track(name, properties);
+        }
+    }
+
     // ===== TABLE OF CONTENTS FUNCTIONALITY =====
     
     const toc = document.getElementById('table-of-contents');
     const tocToggle = document.getElementById('toc-toggle');
     const tocNav = document.getElementById('toc-nav');
-    const tocLinks = document.querySelectorAll('.toc__link');
+    let tocLinks = [];
+    let tocEntries = [];
+    const visibleTargets = new Set();
+    
+    /**
+     * Estimated minutes to read an element at 200 words per minute
+     */
+    function estimateReadingTime(element) {
+        const wordCount = element.textContent.split(/\s+/).filter(Boolean).length;
+        return Math.max(1, Math.ceil(wordCount / 200));
+    }
+    
+    /**
+     * Lowercase, hyphenated id for a heading ("Bridge-Builder's Framework" -> "bridge-builders-framework")
+     */
+    function slugify(text) {
+        return text
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/['’]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'section';
+    }
+    
+    /**
+     * Heading text without icons or the reading time badge added below
+     */
+    function getHeadingText(heading) {
+        const clone = heading.cloneNode(true);
+        clone.querySelectorAll('.section-reading-time, .framework-item__icon').forEach(node => node.remove());
+        return clone.textContent.replace(/\s+/g, ' ').trim();
+    }
+    
+    /**
+     * The largest element around an h3 that holds no other subsection,
+     * used to time it and to tell when it is on screen
+     */
+    function getSubsectionBlock(heading, content) {
+        let block = heading;
+        
+        while (block.parentElement &&
+               block.parentElement !== content &&
+               block.parentElement.querySelectorAll('h3').length === 1) {
+            block = block.parentElement;
+        }
+        
+        return block;
+    }
+    
+    /**
+     * Collect h2 sections and their h3 subsections, giving headings ids where missing
+     */
+    function collectTOCEntries() {
+        const usedIds = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+        
+        function ensureId(element, text) {
+            if (element.id) return element.id;
+            
+            const base = slugify(text);
+            let id = base;
+            for (let n = 2; usedIds.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+            
+            usedIds.add(id);
+            element.id = id;
+            return id;
+        }
+        
+        return Array.from(document.querySelectorAll('.article-section')).map(section => {
+            const title = section.querySelector('.article-section__title');
+            const content = section.querySelector('.article-content') || section;
+            const label = title.dataset.tocLabel || getHeadingText(title);
+            
+            const children = Array.from(content.querySelectorAll('h3')).map(heading => {
+                const text = getHeadingText(heading);
+                const block = getSubsectionBlock(heading, content);
+                
+                return {
+                    id: ensureId(heading, text),
+                    label: heading.dataset.tocLabel || text,
+                    minutes: estimateReadingTime(block),
+                    target: block
+                };
+            });
+            
+            return {
+                id: ensureId(section, label),
+                label,
+                minutes: estimateReadingTime(content),
+                target: section,
+                children
+            };
+        });
+    }
+    
+    /**
+     * Render the TOC from the article headings into #toc-nav
+     */
+    function buildTOC() {
+        if (!tocNav) return;
+        
+        tocEntries = collectTOCEntries();
+        
+        const renderItem = (entry, nested) => `
+            <li class="toc__item${nested ? ' toc__item--nested' : ''}">
+                <a href="#${entry.id}" class="toc__link${nested ? ' toc__link--nested' : ''}">
+                    <span class="toc__label">${escapeHtml(entry.label)}</span>
+                    <span class="toc__time">${entry.minutes} min</span>
+                </a>${entry.children && entry.children.length ? `
+                <ul class="toc__list toc__list--nested">
+                    ${entry.children.map(child => renderItem(child, true)).join('')}
+                </ul>` : ''}
+            </li>`;
+        
+        tocNav.innerHTML = `<ul class="toc__list">${tocEntries.map(entry => renderItem(entry, false)).join('')}</ul>`;
+        tocLinks = Array.from(tocNav.querySelectorAll('.toc__link'));
+        
+        tocLinks.forEach(link => {
+            link.addEventListener('click', handleTOCLinkClick);
+        });
+    }
+    
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
     
     /**
      * Toggle Table of Contents visibility
@@ -31,31 +168,55 @@
     }
     
     /**
-     * Update active TOC link based on scroll position
+     * Mark the first on-screen section (and its first on-screen subsection) as active
      */
     function updateActiveTOCLink() {
         if (!tocLinks.length) return;
         
-        const sections = document.querySelectorAll('.article-section');
-        const scrollPosition = window.scrollY + 150; // Offset for header
+        const section = tocEntries.find(entry => visibleTargets.has(entry.target));
+        if (!section) return; // Between sections: keep the last active entry
         
-        let currentSection = '';
+        const subsection = section.children.find(child => visibleTargets.has(child.target));
+        const activeIds = [section.id, subsection && subsection.id];
         
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.offsetHeight;
+        tocLinks.forEach(link => {
+            const isActive = activeIds.includes(link.getAttribute('href').substring(1));
+            link.classList.toggle('active', isActive);
             
-            if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-                currentSection = section.getAttribute('id');
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
             }
         });
+    }
+    
+    /**
+     * Watch sections and subsections as they cross the band below the header
+     */
+    function observeTOCTargets() {
+        if (!tocEntries.length || !('IntersectionObserver' in window)) return;
+        
+        const header = document.querySelector('.header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    visibleTargets.add(entry.target);
+                } else {
+                    visibleTargets.delete(entry.target);
+                }
+            });
+            updateActiveTOCLink();
+        }, {
+            // Only the top 40% of the viewport (under the header) counts as "reading"
+            rootMargin: `-${headerHeight + 20}px 0px -60% 0px`
+        });
         
-        // Update active state
-        tocLinks.forEach(link => {
-            link.classList.remove('active');
-            if (link.getAttribute('href') === `#${currentSection}`) {
-                link.classList.add('active');
-            }
+        tocEntries.forEach(entry => {
+            observer.observe(entry.target);
+            entry.children.forEach(child => observer.observe(child.target));
         });
     }
     
@@ -65,17 +226,19 @@
     function handleTOCLinkClick(event) {
         event.preventDefault();
         
-        const targetId = event.target.getAttribute('href').substring(1);
+        const targetId = event.currentTarget.getAttribute('href').substring(1);
         const targetSection = document.getElementById(targetId);
         
         if (targetSection) {
             const headerHeight = document.querySelector('.header').offsetHeight;
-            const targetPosition = targetSection.offsetTop - headerHeight - 20;
+            const targetPosition = targetSection.getBoundingClientRect().top + window.pageYOffset - headerHeight - 20;
             
             window.scrollTo({
                 top: targetPosition,
                 behavior: 'smooth'
             });
+            
+            history.replaceState(null, '', `#${targetId}`);
         }
     }
     
@@ -160,6 +323,211 @@
         }
     }
     
+    // ===== READING MEMORY =====
+    
+    const READING_KEY = 'flowInnovation_readingProgress';
+    const READING_VERSION = 1;
+    const READING_SAVE_DELAY = 500;
+    
+    let readingState = null;
+    let readingSaveTimer = null;
+    
+    /**
+     * Saved progress: the furthest section reached, the exact anchor to resume
+     * from ({ id, offset } in px past that heading) and the finished sections
+     */
+    function loadReadingState() {
+        const empty = { version: READING_VERSION, furthest: null, anchor: null, completed: [], updatedAt: null };
+        
+        try {
+            const stored = JSON.parse(localStorage.getItem(READING_KEY));
+            if (stored && stored.version === READING_VERSION) {
+                return { ...empty, ...stored, completed: Array.isArray(stored.completed) ? stored.completed : [] };
+            }
+        } catch (e) {
+            // Missing or corrupt: start fresh
+        }
+        
+        return empty;
+    }
+    
+    function saveReadingState() {
+        readingState.updatedAt = new Date().toISOString();
+        
+        try {
+            localStorage.setItem(READING_KEY, JSON.stringify(readingState));
+        } catch (e) {
+            console.warn('Could not save reading progress to localStorage');
+        }
+    }
+    
+    /**
+     * Distance from the top of the page to the line just under the fixed header
+     */
+    function getReadingLine() {
+        const header = document.querySelector('.header');
+        return (header ? header.offsetHeight : 0) + 20;
+    }
+    
+    /**
+     * Update the anchor, furthest section and completed sections from the scroll position
+     */
+    function recordReadingPosition() {
+        if (!tocEntries.length) return;
+        
+        const readingLine = getReadingLine();
+        const viewportHeight = window.innerHeight;
+        let changed = false;
+        
+        // Last section or subsection heading above the reading line
+        let anchor = null;
+        tocEntries.forEach((entry, index) => {
+            const sectionRect = entry.target.getBoundingClientRect();
+            if (sectionRect.top > readingLine) return;
+            
+            anchor = { element: entry.target, id: entry.id, index };
+            entry.children.forEach(child => {
+                const heading = document.getElementById(child.id);
+                if (heading && heading.getBoundingClientRect().top <= readingLine) {
+                    anchor = { element: heading, id: child.id, index };
+                }
+            });
+            
+            // Finished once the end of the section is on screen. Sections whose end is
+            // already above the header were skipped (TOC jump, link with a hash), not read.
+            const endInView = sectionRect.bottom > readingLine && sectionRect.bottom <= viewportHeight;
+            if (endInView && !readingState.completed.includes(entry.id)) {
+                readingState.completed.push(entry.id);
+                changed = true;
+            }
+        });
+        
+        if (anchor) {
+            readingState.anchor = {
+                id: anchor.id,
+                offset: Math.round(readingLine - anchor.element.getBoundingClientRect().top)
+            };
+            
+            const furthestIndex = tocEntries.findIndex(entry => entry.id === readingState.furthest);
+            if (anchor.index > furthestIndex) {
+                readingState.furthest = tocEntries[anchor.index].id;
+            }
+            changed = true;
+        }
+        
+        if (changed) {
+            saveReadingState();
+            renderCompletedSections();
+        }
+    }
+    
+    function scheduleReadingSave() {
+        clearTimeout(readingSaveTimer);
+        readingSaveTimer = setTimeout(recordReadingPosition, READING_SAVE_DELAY);
+    }
+    
+    /**
+     * Put a check next to finished sections in the TOC
+     */
+    function renderCompletedSections() {
+        tocEntries.forEach(entry => {
+            const link = tocNav && tocNav.querySelector(`.toc__link[href="#${entry.id}"]`);
+            if (!link) return;
+            
+            const isComplete = readingState.completed.includes(entry.id);
+            link.classList.toggle('toc__link--complete', isComplete);
+            
+            let check = link.querySelector('.toc__check');
+            if (isComplete && !check) {
+                check = document.createElement('span');
+                check.className = 'toc__check';
+                check.innerHTML = '<span aria-hidden="true">✓</span><span class="sr-only">(read)</span>';
+                link.insertBefore(check, link.firstChild);
+            } else if (!isComplete && check) {
+                check.remove();
+            }
+        });
+    }
+    
+    /**
+     * Scroll back to the saved anchor
+     */
+    function resumeReading() {
+        const anchor = readingState.anchor;
+        const element = anchor && document.getElementById(anchor.id);
+        if (!element) return;
+        
+        const top = element.getBoundingClientRect().top + window.pageYOffset - getReadingLine() + Math.max(0, anchor.offset);
+        window.scrollTo({ top, behavior: 'smooth' });
+        hideResumeBanner();
+    }
+    
+    function hideResumeBanner() {
+        const banner = document.getElementById('resume-banner');
+        if (banner) banner.remove();
+    }
+    
+    /**
+     * Offer "Continue reading: <section>" when the last visit stopped partway through
+     */
+    function showResumeBanner() {
+        const anchor = readingState.anchor;
+        if (!anchor || window.location.hash) return;
+        
+        const section = tocEntries.find(entry =>
+            entry.id === anchor.id || entry.children.some(child => child.id === anchor.id));
+        if (!section) return;
+        
+        // Nothing to resume: at the very start, or every section is finished
+        const atStart = section === tocEntries[0] && section.id === anchor.id && anchor.offset <= 0;
+        const allRead = tocEntries.every(entry => readingState.completed.includes(entry.id));
+        if (atStart || allRead) return;
+        
+        const banner = document.createElement('div');
+        banner.className = 'resume-banner';
+        banner.id = 'resume-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Continue reading');
+        banner.innerHTML = `
+            <p class="resume-banner__text">
+                <span class="resume-banner__label">Continue reading:</span>
+                <strong>${escapeHtml(section.label)}</strong>
+                <span class="resume-banner__meta">${readingState.completed.length} of ${tocEntries.length} sections read</span>
+            </p>
+            <div class="resume-banner__actions">
+                <button type="button" class="btn btn--primary resume-banner__continue">Continue</button>
+                <button type="button" class="resume-banner__dismiss" aria-label="Dismiss">×</button>
+            </div>
+        `;
+        
+        banner.querySelector('.resume-banner__continue').addEventListener('click', resumeReading);
+        banner.querySelector('.resume-banner__dismiss').addEventListener('click', hideResumeBanner);
+        
+        const heroContent = document.querySelector('.philosophy-hero__content');
+        if (heroContent) {
+            heroContent.appendChild(banner);
+        }
+    }
+    
+    /**
+     * Forget the saved position and finished sections
+     */
+    function resetReadingProgress() {
+        readingState = { ...loadReadingState(), furthest: null, anchor: null, completed: [] };
+        saveReadingState();
+        renderCompletedSections();
+        hideResumeBanner();
+    }
+    
+    function initReadingMemory() {
+        readingState = loadReadingState();
+        renderCompletedSections();
+        showResumeBanner();
+        
+        window.addEventListener('scroll', scheduleReadingSave, { passive: true });
+        window.addEventListener('pagehide', recordReadingPosition);
+    }
+    
     // ===== ARTICLE ENHANCEMENTS =====
     
     /**
@@ -221,26 +589,36 @@
             copyButton.addEventListener('click', () => {
                 const text = quote.textContent.replace(/^"|"$/g, '').trim();
                 
-                if (navigator.clipboard) {
-                    navigator.clipboard.writeText(text).then(() => {
-                        showCopyFeedback(copyButton, 'Copied!');
-                    });
-                } else {
-                    // Fallback for older browsers
-                    const textArea = document.createElement('textarea');
-                    textArea.value = text;
-                    document.body.appendChild(textArea);
-                    textArea.select();
-                    document.execCommand('copy');
-                    document.body.removeChild(textArea);
+                const section = quote.closest('.article-section');
+                trackEvent('quote_copy', { section: section ? section.id : '' });
+
+                copyToClipboard(text).then(() => {
                     showCopyFeedback(copyButton, 'Copied!');
-                }
+                });
             });
             
             quote.appendChild(copyButton);
         });
     }
     
+    /**
+     * Copy text to the clipboard; shared with highlights.js
+     */
+    function copyToClipboard(text) {
+        if (navigator.clipboard) {
+            return navigator.clipboard.writeText(text);
+        }
+        
+        // Fallback for older browsers
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        document.body.appendChild(textArea);
+        textArea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textArea);
+        return Promise.resolve();
+    }
+    
     /**
      * Show copy feedback
      */
@@ -259,6 +637,7 @@
      */
     function addSectionHighlighting() {
         const sections = document.querySelectorAll('.article-section');
+        const viewedSections = new Set();
         
         function highlightCurrentSection() {
             const scrollPosition = window.scrollY + 200;
@@ -269,6 +648,12 @@
                 
                 if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
                     section.classList.add('current-section');
+
+                    // Count each section once per visit
+                    if (section.id && !viewedSections.has(section.id)) {
+                        viewedSections.add(section.id);
+                        trackEvent('philosophy_section_view', { section: section.id });
+                    }
                 } else {
                     section.classList.remove('current-section');
                 }
@@ -377,8 +762,7 @@
             const content = section.querySelector('.article-content');
             if (!content) return;
             
-            const wordCount = content.textContent.split(/\s+/).length;
-            const readingTime = Math.ceil(wordCount / 200); // 200 words per minute
+            const readingTime = estimateReadingTime(content);
             
             const timeIndicator = document.createElement('span');
             timeIndicator.className = 'section-reading-time';
@@ -417,11 +801,9 @@
             tocToggle.addEventListener('click', toggleTOC);
         }
         
-        if (tocLinks.length > 0) {
-            tocLinks.forEach(link => {
-                link.addEventListener('click', handleTOCLinkClick);
-            });
-        }
+        buildTOC();
+        observeTOCTargets();
+        initReadingMemory();
         
         // Reading Progress
         createReadingProgressBar();
@@ -438,7 +820,6 @@
             if (scrollTimer) return;
             
             scrollTimer = setTimeout(() => {
-                updateActiveTOCLink();
                 updateReadingProgress();
                 scrollTimer = null;
             }, 16); // ~60fps
@@ -446,8 +827,7 @@
         
         window.addEventListener('scroll', handleScroll, { passive: true });
         
-        // Initial calls
-        updateActiveTOCLink();
+        // Initial call
         updateReadingProgress();
         
         console.log('✅ Philosophy page - Initialized successfully');
@@ -465,9 +845,13 @@
     // ===== EXPORT FOR DEBUGGING =====
     if (typeof window !== 'undefined') {
         window.PhilosophyPage = {
+            buildTOC,
             updateActiveTOCLink,
             updateReadingProgress,
-            toggleTOC
+            toggleTOC,
+            copyToClipboard,
+            resumeReading,
+            resetReadingProgress
         };
     }
 
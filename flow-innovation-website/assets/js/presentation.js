@@ -0,0 +1,531 @@
+/**
+ * Principles Page - Workshop Presentation Mode
+ * Fullscreen slideshow built from the rendered principle cards, with a
+ * presenter window (notes, timers, next slide) kept in sync over BroadcastChannel
+ */
+
+(function() {
+    'use strict';
+
+    // ===== CONFIGURATION =====
+    const CHANNEL_NAME = 'flowInnovation_presentation';
+    const PRESENTER_PARAM = 'presenter';
+
+    // Card sections that become slides; the notes field and maturity rating stay on the page
+    const SLIDE_SECTION_SELECTOR = '.principle-card__content > .principle-section:not(.principle-notes):not(.principle-rating)';
+
+    const channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+    const isPresenterWindow = new URLSearchParams(window.location.search).get(PRESENTER_PARAM) === '1';
+
+    // ===== STATE =====
+    let slides = [];
+    let current = 0;
+    let startedAt = 0;      // when the presentation began (ms)
+    let slideStartedAt = 0; // when the current slide was shown (ms)
+    let overlay = null;
+    let timerId = null;
+    let presenterWindow = null;
+    let returnFocus = null;
+
+    // ===== HELPERS =====
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * mm:ss (or h:mm:ss) since `since`
+     */
+    function formatElapsed(since) {
+        const total = Math.max(0, Math.floor((Date.now() - since) / 1000));
+        const hours = Math.floor(total / 3600);
+        const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+        const seconds = String(total % 60).padStart(2, '0');
+        return hours ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+    }
+
+    function trackSlideView(slide) {
+        const page = window.PrinciplesPage;
+        if (page && typeof page.trackCardInteraction === 'function') {
+            page.trackCardInteraction(slide.cardId, 'slide_view');
+        }
+    }
+
+    function getCardNotes(cardId) {
+        const state = window.FlowPrincipleState;
+        return state ? state.get().notes[cardId] || '' : '';
+    }
+
+    // ===== SLIDES =====
+
+    /**
+     * One title slide per card followed by one slide per content section
+     */
+    function buildSlides() {
+        const result = [];
+
+        document.querySelectorAll('.principle-card').forEach(card => {
+            const cardId = card.getAttribute('data-principle');
+            const title = card.querySelector('.principle-card__title').textContent.trim();
+            const number = card.querySelector('.principle-card__number').textContent.trim();
+            const icon = card.querySelector('.principle-card__icon').textContent.trim();
+            const summary = card.querySelector('.principle-card__preview').textContent.trim();
+
+            result.push({
+                cardId,
+                title,
+                heading: title,
+                html: `
+                    <div class="presentation-slide presentation-slide--intro">
+                        <div class="presentation-slide__icon" aria-hidden="true">${escapeHtml(icon)}</div>
+                        <p class="presentation-slide__eyebrow">Principle ${escapeHtml(number)}</p>
+                        <h2 class="presentation-slide__title">${escapeHtml(title)}</h2>
+                        <p class="presentation-slide__summary">${escapeHtml(summary)}</p>
+                    </div>`
+            });
+
+            card.querySelectorAll(SLIDE_SECTION_SELECTOR).forEach(section => {
+                const copy = section.cloneNode(true);
+                const sectionTitle = copy.querySelector('.principle-section__title');
+
+                // Search highlights are page state, not slide content
+                copy.querySelectorAll('mark.principle-highlight').forEach(mark => mark.replaceWith(mark.textContent));
+                copy.querySelectorAll('.quote-share-btn').forEach(button => button.remove());
+
+                result.push({
+                    cardId,
+                    title,
+                    heading: sectionTitle ? sectionTitle.textContent.trim() : title,
+                    html: `
+                        <div class="presentation-slide">
+                            <p class="presentation-slide__eyebrow">${escapeHtml(number)} · ${escapeHtml(title)}</p>
+                            ${copy.outerHTML}
+                        </div>`
+                });
+            });
+        });
+
+        return result;
+    }
+
+    // ===== SYNC =====
+
+    function broadcast(message) {
+        if (channel) channel.postMessage(message);
+    }
+
+    function broadcastState() {
+        broadcast({ type: 'state', index: current, startedAt, slideStartedAt });
+    }
+
+    // ===== AUDIENCE VIEW =====
+
+    function isPresenting() {
+        return Boolean(overlay);
+    }
+
+    /**
+     * Show slide `index`; `fromRemote` slides were changed in the other window
+     */
+    function showSlide(index, { fromRemote = false, shownAt = Date.now() } = {}) {
+        if (!slides.length) return;
+
+        const next = Math.max(0, Math.min(slides.length - 1, index));
+        const changed = next !== current || !slideStartedAt;
+
+        current = next;
+        if (changed) slideStartedAt = shownAt;
+
+        if (overlay) {
+            const slide = slides[current];
+            overlay.querySelector('.presentation__slide').innerHTML = slide.html;
+            overlay.querySelector('.presentation__progress').textContent = `${current + 1} / ${slides.length}`;
+            overlay.querySelector('[data-action="prev"]').disabled = current === 0;
+            overlay.querySelector('[data-action="next"]').disabled = current === slides.length - 1;
+            updateTimers();
+
+            if (changed) trackSlideView(slide);
+        }
+
+        if (isPresenterWindow) renderPresenter();
+
+        if (!fromRemote) broadcastState();
+    }
+
+    function nextSlide() {
+        showSlide(current + 1);
+    }
+
+    function previousSlide() {
+        showSlide(current - 1);
+    }
+
+    function updateTimers() {
+        document.querySelectorAll('[data-timer="slide"]').forEach(el => {
+            el.textContent = formatElapsed(slideStartedAt);
+        });
+        document.querySelectorAll('[data-timer="total"]').forEach(el => {
+            el.textContent = formatElapsed(startedAt);
+        });
+    }
+
+    function startTimers() {
+        clearInterval(timerId);
+        timerId = setInterval(updateTimers, 1000);
+    }
+
+    /**
+     * Open the fullscreen slideshow on this page
+     */
+    function startPresentation(startIndex = 0) {
+        if (isPresenting()) return;
+
+        slides = buildSlides();
+        if (!slides.length) return;
+
+        returnFocus = document.activeElement;
+        startedAt = Date.now();
+        slideStartedAt = 0;
+        current = startIndex;
+
+        overlay = document.createElement('div');
+        overlay.className = 'presentation';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-label', 'Seven Principles presentation');
+        overlay.tabIndex = -1;
+        overlay.innerHTML = `
+            <div class="presentation__stage">
+                <div class="presentation__slide" aria-live="polite"></div>
+            </div>
+            <div class="presentation__bar">
+                <span class="presentation__progress"></span>
+                <span class="presentation__timer" title="Time on this slide" data-timer="slide">00:00</span>
+                <div class="presentation__buttons">
+                    <button type="button" class="presentation__btn" data-action="prev" aria-label="Previous slide">←</button>
+                    <button type="button" class="presentation__btn" data-action="next" aria-label="Next slide">→</button>
+                    <button type="button" class="presentation__btn" data-action="fullscreen">Fullscreen</button>
+                    ${channel ? '<button type="button" class="presentation__btn" data-action="presenter">Presenter view</button>' : ''}
+                    <button type="button" class="presentation__btn" data-action="exit">Exit</button>
+                </div>
+            </div>
+        `;
+
+        overlay.addEventListener('click', handleOverlayClick);
+        document.body.appendChild(overlay);
+        document.body.classList.add('presentation-open');
+
+        toggleFullscreen(true);
+        overlay.focus();
+        showSlide(current);
+        startTimers();
+
+        console.log('🎬 Presentation started');
+    }
+
+    /**
+     * Close the slideshow and tell the presenter window
+     */
+    function endPresentation() {
+        if (!isPresenting()) return;
+
+        clearInterval(timerId);
+        timerId = null;
+
+        if (document.fullscreenElement === overlay && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        overlay.remove();
+        overlay = null;
+        document.body.classList.remove('presentation-open');
+        broadcast({ type: 'end' });
+
+        if (returnFocus && typeof returnFocus.focus === 'function') {
+            returnFocus.focus();
+        }
+
+        console.log('🎬 Presentation ended');
+    }
+
+    /**
+     * Enter or leave fullscreen; the overlay covers the page either way
+     */
+    function toggleFullscreen(force) {
+        if (!overlay || !overlay.requestFullscreen) return;
+
+        const enter = typeof force === 'boolean' ? force : document.fullscreenElement !== overlay;
+
+        if (enter) {
+            overlay.requestFullscreen().catch(() => {
+                // Refused (e.g. inside an iframe); keep presenting in the window
+            });
+        } else if (document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+
+    function openPresenterWindow() {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.search = `?${PRESENTER_PARAM}=1`;
+
+        if (presenterWindow && !presenterWindow.closed) {
+            presenterWindow.focus();
+            return;
+        }
+
+        presenterWindow = window.open(url.href, 'flowInnovationPresenter', 'width=1000,height=700');
+        if (!presenterWindow && window.FlowInnovation) {
+            window.FlowInnovation.showNotification('Allow pop-ups for this site to open the presenter view.', 'info');
+        }
+    }
+
+    function handleOverlayClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'prev':
+                previousSlide();
+                break;
+            case 'next':
+                nextSlide();
+                break;
+            case 'fullscreen':
+                toggleFullscreen();
+                break;
+            case 'presenter':
+                openPresenterWindow();
+                break;
+            case 'exit':
+                endPresentation();
+                break;
+        }
+    }
+
+    // ===== PRESENTER VIEW =====
+
+    let presenterPanel = null;
+    let presenterLive = false; // true once an audience window has reported its state
+
+    function renderPresenter() {
+        if (!presenterPanel) return;
+
+        const status = presenterPanel.querySelector('.presenter__status');
+        const body = presenterPanel.querySelector('.presenter__body');
+
+        if (!presenterLive) {
+            status.textContent = 'Waiting for the presentation. Start it from "Present" on the principles page.';
+            body.hidden = true;
+            return;
+        }
+
+        const slide = slides[current];
+        const upcoming = slides[current + 1];
+        const notes = getCardNotes(slide.cardId);
+
+        status.textContent = `Slide ${current + 1} of ${slides.length}`;
+        body.hidden = false;
+
+        presenterPanel.querySelector('.presenter__current').innerHTML = slide.html;
+        presenterPanel.querySelector('.presenter__next').textContent = upcoming
+            ? `${upcoming.title}: ${upcoming.heading}`
+            : 'End of presentation';
+        presenterPanel.querySelector('.presenter__notes').innerHTML = notes
+            ? escapeHtml(notes).replace(/\n/g, '<br>')
+            : '<span class="presenter__empty">No notes yet. Add them in this principle\'s "Your Notes" field.</span>';
+
+        updateTimers();
+    }
+
+    /**
+     * Turn this window into the presenter console
+     */
+    function initPresenterView() {
+        slides = buildSlides();
+
+        presenterPanel = document.createElement('div');
+        presenterPanel.className = 'presenter';
+        presenterPanel.setAttribute('role', 'region');
+        presenterPanel.setAttribute('aria-label', 'Presenter view');
+        presenterPanel.innerHTML = `
+            <div class="presenter__header">
+                <h1 class="presenter__title">Presenter view</h1>
+                <p class="presenter__status" aria-live="polite"></p>
+            </div>
+            <div class="presenter__body" hidden>
+                <div class="presenter__main">
+                    <div class="presenter__current"></div>
+                </div>
+                <div class="presenter__side">
+                    <div class="presenter__timers">
+                        <div><span class="presenter__label">This section</span><span class="presenter__clock" data-timer="slide">00:00</span></div>
+                        <div><span class="presenter__label">Total</span><span class="presenter__clock" data-timer="total">00:00</span></div>
+                    </div>
+                    <div>
+                        <span class="presenter__label">Next</span>
+                        <p class="presenter__next"></p>
+                    </div>
+                    <div>
+                        <span class="presenter__label">Notes</span>
+                        <div class="presenter__notes"></div>
+                    </div>
+                    <div class="presenter__buttons">
+                        <button type="button" class="btn btn--secondary" data-action="prev">← Previous</button>
+                        <button type="button" class="btn btn--primary" data-action="next">Next →</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        presenterPanel.addEventListener('click', event => {
+            const button = event.target.closest('[data-action]');
+            if (!button || !presenterLive) return;
+            if (button.dataset.action === 'prev') previousSlide();
+            if (button.dataset.action === 'next') nextSlide();
+        });
+
+        document.body.appendChild(presenterPanel);
+        document.body.classList.add('presenter-open');
+        document.title = `Presenter view - ${document.title}`;
+
+        renderPresenter();
+        startTimers();
+
+        // Ask an audience window that is already presenting for its position
+        broadcast({ type: 'hello' });
+    }
+
+    // ===== EVENT HANDLERS =====
+
+    function handleKeyDown(event) {
+        if (!isPresenting() && !(isPresenterWindow && presenterLive)) return;
+
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'PageDown':
+            case ' ':
+                event.preventDefault();
+                nextSlide();
+                break;
+            case 'ArrowLeft':
+            case 'PageUp':
+                event.preventDefault();
+                previousSlide();
+                break;
+            case 'Home':
+                event.preventDefault();
+                showSlide(0);
+                break;
+            case 'End':
+                event.preventDefault();
+                showSlide(slides.length - 1);
+                break;
+            case 'Escape':
+                // In fullscreen the browser handles Esc (leaves fullscreen); a second Esc exits
+                if (isPresenting()) endPresentation();
+                break;
+        }
+    }
+
+    function handleChannelMessage(event) {
+        const message = event.data || {};
+
+        switch (message.type) {
+            case 'hello':
+                if (isPresenting()) broadcastState();
+                break;
+
+            case 'state':
+                if (isPresenting()) {
+                    showSlide(message.index, { fromRemote: true, shownAt: message.slideStartedAt });
+                } else if (isPresenterWindow) {
+                    presenterLive = true;
+                    startedAt = message.startedAt;
+                    slideStartedAt = 0;
+                    showSlide(message.index, { fromRemote: true, shownAt: message.slideStartedAt });
+                }
+                break;
+
+            case 'end':
+                if (isPresenterWindow) {
+                    presenterLive = false;
+                    renderPresenter();
+                }
+                break;
+        }
+    }
+
+    function handleFullscreenChange() {
+        const button = overlay && overlay.querySelector('[data-action="fullscreen"]');
+        if (button) {
+            button.textContent = document.fullscreenElement === overlay ? 'Exit fullscreen' : 'Fullscreen';
+        }
+    }
+
+    // ===== INITIALIZATION =====
+
+    /**
+     * Add the "Present" button next to Expand All / Collapse All
+     */
+    function addPresentButton() {
+        const controls = document.querySelector('.principle-controls');
+        if (!controls) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'principle-control-btn';
+        button.id = 'start-presentation';
+        button.innerHTML = `
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <rect x="2" y="3" width="20" height="14" rx="2"/>
+                <path d="M8 21h8M12 17v4"/>
+            </svg>
+            Present
+        `;
+        button.addEventListener('click', () => startPresentation());
+
+        controls.appendChild(button);
+    }
+
+    function initPresentation() {
+        document.addEventListener('keydown', handleKeyDown);
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        if (channel) channel.addEventListener('message', handleChannelMessage);
+
+        if (isPresenterWindow) {
+            initPresenterView();
+        } else {
+            addPresentButton();
+        }
+    }
+
+    // ===== AUTO-INITIALIZATION =====
+
+    // Runs after principles.js, so the cards and controls already exist
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPresentation);
+    } else {
+        initPresentation();
+    }
+
+    // ===== EXPORT FOR DEBUGGING =====
+    if (typeof window !== 'undefined') {
+        window.PrinciplesPresentation = {
+            start: startPresentation,
+            end: endPresentation,
+            goTo: index => showSlide(index),
+            openPresenterWindow,
+            getSlides: () => slides.map(({ cardId, title, heading }) => ({ cardId, title, heading }))
+        };
+    }
+
+})();
@@ -0,0 +1,166 @@
+/**
+ * Principles Page - Persistent Card State
+ * Versioned localStorage record of expanded cards, the last-focused card and
+ * per-card notes, shared live between open tabs through the `storage` event
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'flowInnovation_principleState';
+    const SCHEMA_VERSION = 1;
+
+    // Written by principles.js before this module existed (sessionStorage, array of ids)
+    const LEGACY_SESSION_KEY = 'flowInnovation_expandedPrinciples';
+
+    /**
+     * Upgrade steps keyed by the version they upgrade from.
+     * Add one per schema change; never edit a released step.
+     */
+    const MIGRATIONS = {
+        // 0 -> 1: bare array of expanded ids
+        0: legacy => ({
+            ...createDefaultState(),
+            expanded: Array.isArray(legacy) ? legacy.map(String) : []
+        })
+    };
+
+    const listeners = new Set();
+    let state = null;
+
+    // ===== SCHEMA =====
+
+    function createDefaultState() {
+        return {
+            version: SCHEMA_VERSION,
+            expanded: [],
+            lastFocused: null,
+            notes: {},
+            updatedAt: null
+        };
+    }
+
+    /**
+     * Bring any stored value up to the current schema
+     */
+    function migrate(value) {
+        let current = value;
+        let version = current && typeof current === 'object' && !Array.isArray(current) && current.version
+            ? current.version
+            : 0;
+
+        // Saved by a newer release: unknown shape, start over rather than guess
+        if (version > SCHEMA_VERSION) return createDefaultState();
+
+        while (version < SCHEMA_VERSION) {
+            current = MIGRATIONS[version](current);
+            version = current.version;
+        }
+
+        return { ...createDefaultState(), ...current };
+    }
+
+    // ===== STORAGE =====
+
+    /**
+     * Parse a stored JSON string; undefined when missing or corrupt
+     */
+    function parse(raw) {
+        try {
+            return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    function readStored(storage, key) {
+        try {
+            return parse(storage.getItem(key));
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    function write() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (e) {
+            console.warn('Could not save principle state to localStorage');
+        }
+    }
+
+    /**
+     * Load the state, importing the legacy sessionStorage key once
+     */
+    function load() {
+        const stored = readStored(localStorage, STORAGE_KEY);
+
+        if (stored !== undefined) {
+            state = migrate(stored);
+            if (!stored || stored.version !== SCHEMA_VERSION) write();
+        } else {
+            const legacy = readStored(sessionStorage, LEGACY_SESSION_KEY);
+            state = legacy !== undefined ? migrate(legacy) : createDefaultState();
+            if (legacy !== undefined) write();
+        }
+
+        try {
+            sessionStorage.removeItem(LEGACY_SESSION_KEY);
+        } catch (e) {
+            // Storage unavailable (e.g. privacy mode); nothing to clean up
+        }
+
+        return get();
+    }
+
+    // ===== PUBLIC API =====
+
+    /**
+     * Copy of the current state
+     */
+    function get() {
+        if (!state) load();
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    /**
+     * Apply `changes` (an object, or a function of the current state) and save immediately
+     */
+    function update(changes) {
+        const current = get();
+        const next = typeof changes === 'function' ? changes(current) : { ...current, ...changes };
+
+        state = { ...next, version: SCHEMA_VERSION, updatedAt: new Date().toISOString() };
+        write();
+        return get();
+    }
+
+    /**
+     * Call `listener(state, previous)` when another tab changes the state
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    window.addEventListener('storage', event => {
+        if (event.storageArea !== localStorage || event.key !== STORAGE_KEY) return;
+
+        const previous = get();
+        const stored = parse(event.newValue);
+        state = stored !== undefined ? migrate(stored) : createDefaultState();
+
+        const next = get();
+        listeners.forEach(listener => listener(next, previous));
+    });
+
+    // ===== EXPORT =====
+    window.FlowPrincipleState = {
+        SCHEMA_VERSION,
+        load,
+        get,
+        update,
+        subscribe
+    };
+
+})();
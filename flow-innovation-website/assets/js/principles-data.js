@@ -0,0 +1,184 @@
+/**
+ * Flow Innovation - The Seven Principles
+ * Single source of truth for the principle cards on principles.html.
+ *
+ * Every principle has the same shape; principles.js renders the cards from it.
+ * Text is plain (no HTML); wrap a word in *asterisks* to emphasise it.
+ *
+ * THEMES are the search filter tags. A principle carries a theme when any of its
+ * "What This Eliminates" or "Business Application" items contains one of the
+ * theme's keywords (case-insensitive), so new items are tagged automatically.
+ */
+
+(function(root) {
+    'use strict';
+
+    const PRINCIPLES = [
+        {
+            id: 1,
+            icon: '🎯',
+            title: 'Present Moment Leadership',
+            summary: "The innovation leader's primary tool is clear awareness of what is actually happening.",
+            practice: 'Your primary tool is clear awareness of what is *actually* happening, not what you hope is happening or what the strategy deck says should be happening. Present moment leadership means reading organizational reality with zen-like clarity while maintaining the capacity for decisive action.',
+            quote: "Most innovation leaders are solving yesterday's problems with tomorrow's solutions. Present moment leaders solve today's reality with today's resources.",
+            applications: [
+                { label: 'Reality Reconnaissance', text: 'Weekly 360° organizational sensing to detect emerging forces' },
+                { label: 'Stakeholder Pulse Checks', text: 'Continuous relationship mapping and energy assessment' },
+                { label: 'Market Signal Detection', text: 'Real-time customer insight integration into innovation decisions' },
+                { label: 'Internal Resistance Intelligence', text: 'Early warning systems for organizational antibodies' }
+            ],
+            eliminates: [
+                'Innovation theater based on outdated assumptions',
+                'Resource waste on politically impossible projects',
+                'Surprise stakeholder resistance derailing progress',
+                'Innovation solutions seeking problems to solve'
+            ]
+        },
+
+        {
+            id: 2,
+            icon: '🌊',
+            title: 'Effortless Action (Wu Wei)',
+            summary: 'Maximum impact through minimum organizational friction by working with forces, not against them.',
+            practice: 'Wu Wei translates as "effortless action"—achieving maximum impact through minimum organizational friction. This isn\'t laziness; it\'s sophisticated organizational physics. Like water flowing downhill, find the path of least resistance that still gets you where you need to go.',
+            quote: 'The master innovator accomplishes breakthrough without forcing. They shape conditions where success becomes inevitable.',
+            applications: [
+                { label: 'Strategic Invisibility', text: 'Launch innovations under the organizational radar until they prove value' },
+                { label: 'Energy Mapping', text: 'Chart organizational forces and find naturally supportive currents' },
+                { label: 'Aikido Stakeholder Management', text: 'Transform resistance into momentum through redirection' },
+                { label: 'Natural Alliance Building', text: 'Connect with existing organizational desires and motivations' }
+            ],
+            eliminates: [
+                'Heroic leadership burnout from fighting organizational resistance',
+                'Political battles that consume innovation energy',
+                'Innovation initiatives triggering organizational antibodies',
+                'Resources wasted on forcing square solutions into round systems'
+            ]
+        },
+
+        {
+            id: 3,
+            icon: '👤',
+            title: 'Strategic Invisibility',
+            summary: 'Build breakthrough momentum below the organizational radar until success becomes undeniable.',
+            practice: "Innovation that announces itself too early often dies from organizational immune responses. Strategic invisibility means building breakthrough momentum below the radar until success becomes undeniable. This isn't deception—it's sophisticated organizational timing.",
+            quote: "The best innovations appear suddenly, but they've been growing in the organizational shadows for months.",
+            applications: [
+                { label: 'Stealth Prototyping', text: 'Build minimal viable innovations without formal project status' },
+                { label: 'Shadow Coalition Building', text: 'Assemble support networks before official launch' },
+                { label: 'Quiet Customer Validation', text: 'Prove market demand through informal channels' },
+                { label: 'Camouflaged Resources', text: 'Leverage existing budgets and infrastructure creatively' }
+            ],
+            eliminates: [
+                'Premature innovation assassination by organizational antibodies',
+                'Political pressure on fragile early-stage innovations',
+                'Resource battles before value is proven',
+                'Innovation theater that substitutes visibility for results'
+            ]
+        },
+
+        {
+            id: 4,
+            icon: '🕸️',
+            title: 'Distributed Authority',
+            summary: 'Enable breakthrough decisions at the edges where market reality is clearest and action is fastest.',
+            practice: 'Traditional innovation requires too many approvals from people too far from market reality. Distributed authority pushes decision-making power to the edges where customer insight is freshest and response time is fastest. Create clear boundaries, then unleash intelligent action within them.',
+            quote: 'The closer decision-makers are to customer pain, the better their innovation choices become.',
+            applications: [
+                { label: 'Customer-Proximate Teams', text: 'Embed innovation teams directly with customer-facing operations' },
+                { label: 'Bounded Autonomy Frameworks', text: 'Clear guardrails with maximum decision authority within bounds' },
+                { label: 'Real-Time Resource Allocation', text: 'Budget authority at team level for rapid iteration cycles' },
+                { label: 'Front-Line Innovation Councils', text: 'Customer service and sales teams driving product evolution' }
+            ],
+            eliminates: [
+                'Innovation decisions made by committees far from customer reality',
+                'Approval bottlenecks that kill market timing',
+                'Innovation teams waiting for permission to solve obvious problems',
+                'Executive innovation theater divorced from operational reality'
+            ]
+        },
+
+        {
+            id: 5,
+            icon: '🧘',
+            title: 'Calm Under Pressure',
+            summary: 'Maintain clarity and effectiveness even in high-stakes corporate environments where breakthrough lives.',
+            practice: "Corporate innovation happens in high-pressure environments where millions are at stake and careers hang in the balance. Calm under pressure isn't about being zen—it's about maintaining clear thinking and effective action when organizational stress would normally trigger fight-or-flight responses.",
+            quote: 'Breakthrough innovation requires the clarity of a still lake and the power of a focused laser.',
+            applications: [
+                { label: 'Pressure Training Protocols', text: 'Practice innovation decision-making under simulated stress' },
+                { label: 'Crisis Innovation Playbooks', text: 'Pre-planned responses for when innovations face existential threats' },
+                { label: 'Stakeholder Aikido', text: 'Transform aggressive questioning into innovation refinement opportunities' },
+                { label: 'Emotional Intelligence Amplification', text: 'Read room dynamics while maintaining innovation focus' }
+            ],
+            eliminates: [
+                'Innovation teams paralyzed by high-stakes pressure',
+                'Panic-driven decisions that compromise innovation integrity',
+                'Leadership stress cascading down to creative teams',
+                'Innovation abandonment when facing first major resistance'
+            ]
+        },
+
+        {
+            id: 6,
+            icon: '🔄',
+            title: 'Continuous Iteration',
+            summary: 'Evolution over revolution through rapid, intelligent adaptation cycles that compound into breakthrough.',
+            practice: "Most breakthrough innovations appear sudden but emerge from continuous iteration cycles. Small, intelligent adaptations compound into revolutionary outcomes. This isn't about moving fast and breaking things—it's about moving thoughtfully and building momentum.",
+            quote: 'Breakthrough is evolution accelerated through intention, not revolution forced through disruption.',
+            applications: [
+                { label: 'Six-Week Flow Cycles', text: 'Regular innovation sprints with customer feedback integration' },
+                { label: 'Assumption Validation Protocols', text: 'Systematic testing of innovation hypotheses' },
+                { label: 'Rapid Prototype Evolution', text: 'Each iteration informed by real market interaction' },
+                { label: 'Compound Innovation Metrics', text: 'Track cumulative improvement rather than discrete breakthroughs' }
+            ],
+            eliminates: [
+                'Big-bang innovation launches that create existential risk',
+                'Innovation perfectionism that prevents market learning',
+                'Resource-heavy innovation bets without validation cycles',
+                'Innovation teams working in isolation from market feedback'
+            ]
+        },
+
+        {
+            id: 7,
+            icon: '⏰',
+            title: 'Natural Timing',
+            summary: 'Sense and surf organizational and market rhythms rather than fighting against natural cycles.',
+            practice: 'Every organization and market has natural rhythms and cycles. Innovation that fights against these cycles exhausts itself. Innovation that surfsprog these cycles amplifies its impact exponentially. Natural timing means sensing readiness and riding waves rather than creating them from scratch.',
+            quote: 'The master innovator plants seeds in spring, tends growth in summer, and harvests in fall. They never try to force winter blooms.',
+            applications: [
+                { label: 'Organizational Cycle Mapping', text: 'Track natural innovation readiness patterns' },
+                { label: 'Market Momentum Sensing', text: 'Launch innovations when market currents are favorable' },
+                { label: 'Leadership Transition Leverage', text: 'Time major innovations with new leadership cycles' },
+                { label: 'Crisis Opportunity Protocols', text: 'Pre-positioned innovations for organizational openings' }
+            ],
+            eliminates: [
+                'Innovation launches that ignore organizational change capacity',
+                'Market timing disasters that kill otherwise good innovations',
+                'Resource waste on innovations before systems are ready',
+                'Innovation fatigue from trying to force artificial urgency'
+            ]
+        }
+    ];
+
+    const THEMES = [
+        { id: 'stakeholders', label: 'Stakeholders & Politics', keywords: ['stakeholder', 'politic', 'committee', 'approval', 'permission', 'coalition', 'alliance'] },
+        { id: 'resistance', label: 'Resistance', keywords: ['resistance', 'antibodies', 'assassination', 'fighting'] },
+        { id: 'resources', label: 'Resources & Budget', keywords: ['resource', 'budget', 'infrastructure'] },
+        { id: 'customers', label: 'Customers & Market', keywords: ['customer', 'market'] },
+        { id: 'timing', label: 'Timing', keywords: ['timing', 'premature', 'cycle', 'urgency', 'early'] },
+        { id: 'pressure', label: 'Pressure & Burnout', keywords: ['pressure', 'stress', 'panic', 'burnout', 'fatigue', 'crisis'] },
+        { id: 'experimentation', label: 'Experiments & Validation', keywords: ['prototyp', 'validation', 'iteration', 'hypothes', 'perfectionism'] },
+        { id: 'theater', label: 'Innovation Theater', keywords: ['theater', 'visibility'] }
+    ];
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = PRINCIPLES;
+        module.exports.THEMES = THEMES;
+    } else {
+        root.FlowPrinciples = PRINCIPLES;
+        root.FlowPrincipleThemes = THEMES;
+    }
+
+})(typeof self !== 'undefined' ? self : this);
@@ -8,11 +8,15 @@
 
     // ===== STATE MANAGEMENT =====
     let expandedCards = new Set();
-    let isAnimating = false;
+
+    // ===== DATA =====
+    // Defined once in principles-data.js; cards are rendered from it on init
+    const PRINCIPLES = window.FlowPrinciples || [];
 
     // ===== DOM ELEMENTS =====
-    const principleCards = document.querySelectorAll('.principle-card');
-    const cardHeaders = document.querySelectorAll('.principle-card__header');
+    // Queried after renderPrinciples()
+    let principleCards = [];
+    let cardHeaders = [];
 
     // ===== UTILITY FUNCTIONS =====
     
@@ -65,134 +69,281 @@
         return height;
     }
 
+    // ===== RENDERING =====
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Escape principle text and turn *word* into emphasis
+     */
+    function formatText(text) {
+        return escapeHtml(text).replace(/\*([^*]+)\*/g, '<em>$1</em>');
+    }
+
+    /**
+     * Markup for one principle card
+     */
+    function renderCard(principle) {
+        const applications = principle.applications.map(item => `
+                    <li><strong>${formatText(item.label)}:</strong> ${formatText(item.text)}</li>`).join('');
+
+        const eliminates = principle.eliminates.map(item => `
+                    <div class="elimination-item">
+                        <span class="elimination-icon">❌</span>
+                        <span class="elimination-text">${formatText(item)}</span>
+                    </div>`).join('');
+
+        return `
+            <div class="principle-card" id="principle-${principle.id}" data-principle="${principle.id}">
+                <div class="principle-card__header">
+                    <div class="principle-card__icon" aria-hidden="true">${principle.icon}</div>
+                    <div class="principle-card__number">${String(principle.id).padStart(2, '0')}</div>
+                    <h3 class="principle-card__title">${formatText(principle.title)}</h3>
+                    <button class="principle-card__toggle" aria-label="Expand principle">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M6 9l6 6 6-6"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="principle-card__preview">
+                    <p>${formatText(principle.summary)}</p>
+                </div>
+                <div class="principle-card__content">
+                    <div class="principle-section">
+                        <h4 class="principle-section__title">Core Practice</h4>
+                        <p class="principle-section__text">${formatText(principle.practice)}</p>
+                        <blockquote class="principle-quote">"${formatText(principle.quote)}"</blockquote>
+                    </div>
+
+                    <div class="principle-section">
+                        <h4 class="principle-section__title">Business Application</h4>
+                        <ul class="principle-list">${applications}
+                        </ul>
+                    </div>
+
+                    <div class="principle-section">
+                        <h4 class="principle-section__title">What This Eliminates</h4>
+                        <div class="elimination-grid">${eliminates}
+                        </div>
+                    </div>
+
+                    <div class="principle-section principle-notes">
+                        <label class="principle-section__title" for="principle-notes-${principle.id}">Your Notes</label>
+                        <textarea class="form-input principle-notes__input" id="principle-notes-${principle.id}" data-notes-principle="${principle.id}" rows="3" placeholder="Ideas, examples, questions for your team..."></textarea>
+                        <p class="principle-notes__hint">Saved in this browser and shared with your other open tabs.</p>
+                    </div>
+
+                    <div class="principle-card__actions">
+                        <button type="button" class="principle-card__share" data-share-principle="${principle.id}">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                                <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+                                <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+                            </svg>
+                            Copy link to this principle
+                        </button>
+                    </div>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Render the principle cards from principles-data.js
+     */
+    function renderPrinciples() {
+        const container = document.querySelector('.principles-cards');
+
+        if (container && PRINCIPLES.length) {
+            container.innerHTML = PRINCIPLES.map(renderCard).join('');
+        }
+
+        principleCards = document.querySelectorAll('.principle-card');
+        cardHeaders = document.querySelectorAll('.principle-card__header');
+    }
+
+    // ===== ANIMATION SCHEDULER =====
+
+    const ANIMATION_DURATION = 500; // matches the max-height transition in principles.css
+    const PREVIEW_DELAY = 200;
+
+    // card -> in-flight transition { expand, timers, promise, resolve }
+    const animations = new WeakMap();
+
+    /**
+     * Resolve after `ms` milliseconds
+     */
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Stop a card's in-flight transition; its promise resolves with false
+     */
+    function cancelAnimation(card) {
+        const running = animations.get(card);
+        if (!running) return;
+
+        running.timers.forEach(clearTimeout);
+        animations.delete(card);
+        running.resolve(false);
+    }
+
+    /**
+     * Move a card's content towards expanded or collapsed.
+     *
+     * Cards animate independently. A transition in the opposite direction is
+     * reversed from wherever it is; one in the same direction is joined.
+     * Resolves with true when the transition ends, false if it was superseded.
+     */
+    function animateCard(card, expand, animate) {
+        const content = card.querySelector('.principle-card__content');
+        const preview = card.querySelector('.principle-card__preview');
+
+        const running = animations.get(card);
+        if (running && running.expand === expand) return running.promise;
+        cancelAnimation(card);
+
+        if (!animate) {
+            content.style.maxHeight = expand ? 'none' : '0';
+            content.style.opacity = expand ? '1' : '0';
+            preview.style.opacity = expand ? '0' : '1';
+            preview.style.maxHeight = expand ? '0' : 'none';
+            return Promise.resolve(true);
+        }
+
+        const animation = { expand, timers: [] };
+        animation.promise = new Promise(resolve => {
+            animation.resolve = resolve;
+        });
+        animations.set(card, animation);
+
+        // Start from the current (possibly mid-transition) height so reversals are smooth
+        content.style.maxHeight = `${content.getBoundingClientRect().height}px`;
+        content.offsetHeight; // Force reflow
+
+        if (expand) {
+            content.style.maxHeight = `${getContentHeight(content)}px`;
+            content.style.opacity = '1';
+
+            // Hide preview with fade
+            preview.style.opacity = '0';
+            preview.style.maxHeight = '0';
+        } else {
+            content.style.maxHeight = '0';
+            content.style.opacity = '0';
+
+            // Show preview with fade
+            animation.timers.push(setTimeout(() => {
+                preview.style.opacity = '1';
+                preview.style.maxHeight = 'none';
+            }, PREVIEW_DELAY));
+        }
+
+        animation.timers.push(setTimeout(() => {
+            if (expand) {
+                content.style.maxHeight = 'none'; // Allow natural height after animation
+            }
+            animations.delete(card);
+            animation.resolve(true);
+        }, ANIMATION_DURATION));
+
+        return animation.promise;
+    }
+
     // ===== CARD ANIMATION FUNCTIONS =====
     
     /**
-     * Expand a principle card with smooth animation
+     * Expand a principle card; resolves when its transition ends
      */
     function expandCard(card, animate = true) {
-        if (isAnimating || isCardExpanded(card)) return;
+        if (isCardExpanded(card)) {
+            const running = animations.get(card);
+            return running ? running.promise : Promise.resolve(true);
+        }
 
         const cardId = getCardId(card);
         const content = card.querySelector('.principle-card__content');
         const preview = card.querySelector('.principle-card__preview');
         const toggle = card.querySelector('.principle-card__toggle');
 
-        if (!content || !preview) return;
-
-        isAnimating = true;
+        if (!content || !preview) return Promise.resolve(false);
 
         // Update state
         expandedCards.add(cardId);
         card.classList.add('expanded');
+        if (!applyingSearch) {
+            updateUrl();
+            saveCardState();
+        }
 
         // Update accessibility attributes
         toggle.setAttribute('aria-expanded', 'true');
         toggle.setAttribute('aria-label', 'Collapse principle');
 
-        if (animate) {
-            // Animate expansion
-            const contentHeight = getContentHeight(content);
-            
-            // Start animation
-            content.style.maxHeight = `${contentHeight}px`;
-            content.style.opacity = '1';
-            
-            // Hide preview with fade
-            preview.style.opacity = '0';
-            preview.style.maxHeight = '0';
-            
-            // Reset animation lock after transition
-            setTimeout(() => {
-                isAnimating = false;
-                content.style.maxHeight = 'none'; // Allow natural height after animation
-            }, 500);
-        } else {
-            // Immediate expansion (no animation)
-            content.style.maxHeight = 'none';
-            content.style.opacity = '1';
-            preview.style.opacity = '0';
-            preview.style.maxHeight = '0';
-            isAnimating = false;
-        }
-
         // Announce change to screen readers
         announceToScreenReader(`${card.querySelector('.principle-card__title').textContent} expanded`);
         
-        // Track analytics
-        trackCardInteraction(cardId, 'expand');
+        // Track analytics (not for cards restored from saved state or opened by the search)
+        if (!applyingSavedState && !applyingSearch) trackCardInteraction(cardId, 'expand');
+
+        return animateCard(card, true, animate);
     }
 
     /**
-     * Collapse a principle card with smooth animation
+     * Collapse a principle card; resolves when its transition ends
      */
     function collapseCard(card, animate = true) {
-        if (isAnimating || !isCardExpanded(card)) return;
+        if (!isCardExpanded(card)) {
+            const running = animations.get(card);
+            return running ? running.promise : Promise.resolve(true);
+        }
 
         const cardId = getCardId(card);
         const content = card.querySelector('.principle-card__content');
         const preview = card.querySelector('.principle-card__preview');
         const toggle = card.querySelector('.principle-card__toggle');
 
-        if (!content || !preview) return;
-
-        isAnimating = true;
+        if (!content || !preview) return Promise.resolve(false);
 
         // Update state
         expandedCards.delete(cardId);
         card.classList.remove('expanded');
+        if (!applyingSearch) {
+            updateUrl();
+            saveCardState();
+        }
 
         // Update accessibility attributes
         toggle.setAttribute('aria-expanded', 'false');
         toggle.setAttribute('aria-label', 'Expand principle');
 
-        if (animate) {
-            // Get current height for smooth transition
-            const currentHeight = content.scrollHeight;
-            content.style.maxHeight = `${currentHeight}px`;
-            
-            // Force reflow
-            content.offsetHeight;
-            
-            // Animate collapse
-            content.style.maxHeight = '0';
-            content.style.opacity = '0';
-            
-            // Show preview with fade
-            setTimeout(() => {
-                preview.style.opacity = '1';
-                preview.style.maxHeight = 'none';
-            }, 200);
-            
-            // Reset animation lock after transition
-            setTimeout(() => {
-                isAnimating = false;
-            }, 500);
-        } else {
-            // Immediate collapse (no animation)
-            content.style.maxHeight = '0';
-            content.style.opacity = '0';
-            preview.style.opacity = '1';
-            preview.style.maxHeight = 'none';
-            isAnimating = false;
-        }
-
         // Announce change to screen readers
         announceToScreenReader(`${card.querySelector('.principle-card__title').textContent} collapsed`);
         
-        // Track analytics
-        trackCardInteraction(cardId, 'collapse');
+        // Track analytics (not for cards restored from saved state or closed by the search)
+        if (!applyingSavedState && !applyingSearch) trackCardInteraction(cardId, 'collapse');
+
+        return animateCard(card, false, animate);
     }
 
     /**
      * Toggle card state
      */
     function toggleCard(card, animate = true) {
+        releaseFromSearch(card);
+
         if (isCardExpanded(card)) {
-            collapseCard(card, animate);
-        } else {
-            expandCard(card, animate);
+            return collapseCard(card, animate);
         }
+        return expandCard(card, animate);
     }
 
     // ===== EVENT HANDLERS =====
@@ -241,7 +392,7 @@
             case 'Escape':
                 if (isCardExpanded(card)) {
                     event.preventDefault();
-                    collapseCard(card);
+                    toggleCard(card);
                 }
                 break;
                 
@@ -258,10 +409,12 @@
     }
 
     /**
-     * Focus next card in sequence
+     * Focus next card in sequence (skipping cards hidden by search)
      */
     function focusNextCard(currentCard) {
-        const cards = Array.from(principleCards);
+        const cards = getVisibleCards();
+        if (!cards.length) return;
+
         const currentIndex = cards.indexOf(currentCard);
         const nextCard = cards[currentIndex + 1] || cards[0]; // Loop to first if at end
         
@@ -272,10 +425,12 @@
     }
 
     /**
-     * Focus previous card in sequence
+     * Focus previous card in sequence (skipping cards hidden by search)
      */
     function focusPreviousCard(currentCard) {
-        const cards = Array.from(principleCards);
+        const cards = getVisibleCards();
+        if (!cards.length) return;
+
         const currentIndex = cards.indexOf(currentCard);
         const prevCard = cards[currentIndex - 1] || cards[cards.length - 1]; // Loop to last if at beginning
         
@@ -287,34 +442,32 @@
 
     // ===== ADVANCED FEATURES =====
     
+    // Incremented by each expand/collapse all, so a newer run cancels an older one's pending steps
+    let bulkRun = 0;
+
+    /**
+     * Apply `step` to each card, staggered by `interval` ms; resolves when all transitions end
+     */
+    function runStaggered(step, interval, cards = Array.from(principleCards)) {
+        const run = ++bulkRun;
+
+        return Promise.all(cards.map((card, index) =>
+            wait(index * interval).then(() => (run === bulkRun ? step(card) : false))
+        ));
+    }
+
     /**
-     * Expand all cards
+     * Expand all cards (only those left by the current search)
      */
     function expandAll() {
-        if (isAnimating) return;
-        
-        principleCards.forEach((card, index) => {
-            setTimeout(() => {
-                if (!isCardExpanded(card)) {
-                    expandCard(card, true);
-                }
-            }, index * 150); // Stagger animations
-        });
+        return runStaggered(card => expandCard(card, true), 150, getVisibleCards());
     }
 
     /**
      * Collapse all cards
      */
     function collapseAll() {
-        if (isAnimating) return;
-        
-        principleCards.forEach((card, index) => {
-            setTimeout(() => {
-                if (isCardExpanded(card)) {
-                    collapseCard(card, true);
-                }
-            }, index * 100); // Stagger animations
-        });
+        return runStaggered(card => collapseCard(card, true), 100);
     }
 
     /**
@@ -341,32 +494,250 @@
         principleCards.forEach(card => observer.observe(card));
     }
 
+    // ===== PERSISTENCE =====
+    // Expanded cards, the last-focused card and notes live in principle-state.js,
+    // which saves to localStorage and reports changes made in other tabs
+
+    const PrincipleState = window.FlowPrincipleState || null;
+
+    // True while restoring or mirroring another tab, so those changes are not written back
+    let applyingSavedState = false;
+
     /**
-     * Save and restore card state in sessionStorage
+     * Cards the visitor opened, leaving out the ones only open because they match the search
+     */
+    function getChosenCards() {
+        return Array.from(expandedCards).filter(cardId => !searchExpanded.has(cardId));
+    }
+
+    /**
+     * Save which cards are expanded (called on every expand/collapse)
      */
     function saveCardState() {
-        const state = Array.from(expandedCards);
-        try {
-            sessionStorage.setItem('flowInnovation_expandedPrinciples', JSON.stringify(state));
-        } catch (e) {
-            console.warn('Could not save card state to sessionStorage');
+        if (!PrincipleState || applyingSavedState) return;
+        PrincipleState.update({ expanded: getChosenCards() });
+    }
+
+    function saveLastFocused(cardId) {
+        if (!PrincipleState || applyingSavedState) return;
+        if (PrincipleState.get().lastFocused !== cardId) {
+            PrincipleState.update({ lastFocused: cardId });
         }
     }
 
+    function saveNote(cardId, text) {
+        if (!PrincipleState) return;
+        PrincipleState.update(state => {
+            const notes = { ...state.notes };
+            if (text.trim()) {
+                notes[cardId] = text;
+            } else {
+                delete notes[cardId];
+            }
+            return { ...state, notes };
+        });
+    }
+
+    /**
+     * Show saved notes in each card's notes field (skipping the one being typed in)
+     */
+    function renderNotes(notes) {
+        document.querySelectorAll('.principle-notes__input').forEach(input => {
+            if (input === document.activeElement) return;
+            input.value = notes[input.dataset.notesPrinciple] || '';
+        });
+    }
+
+    /**
+     * Expand the saved cards without animation
+     */
     function restoreCardState() {
+        if (!PrincipleState) return;
+
+        const state = PrincipleState.get();
+
+        applyingSavedState = true;
+        state.expanded.forEach(cardId => {
+            const card = getCard(cardId);
+            if (card) {
+                expandCard(card, false); // Restore without animation
+            }
+        });
+        applyingSavedState = false;
+    }
+
+    /**
+     * Mirror another tab: open/close the same cards and follow its focus
+     */
+    function applyRemoteState(state, previous) {
+        applyingSavedState = true;
+
+        principleCards.forEach(card => {
+            const shouldExpand = state.expanded.includes(getCardId(card));
+            if (shouldExpand !== isCardExpanded(card)) {
+                toggleCard(card);
+            }
+        });
+
+        applyingSavedState = false;
+
+        if (state.lastFocused && state.lastFocused !== previous.lastFocused) {
+            const card = getCard(state.lastFocused);
+            if (card) card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+
+        renderNotes(state.notes);
+    }
+
+    /**
+     * Wire notes fields, focus tracking and cross-tab sync
+     */
+    function initPersistence() {
+        if (!PrincipleState) return;
+
+        renderNotes(PrincipleState.get().notes);
+
+        document.querySelectorAll('.principle-notes__input').forEach(input => {
+            input.addEventListener('input', debounce(() => saveNote(input.dataset.notesPrinciple, input.value), 300));
+        });
+
+        cardHeaders.forEach(header => {
+            header.addEventListener('focus', () => saveLastFocused(getCardId(header.closest('.principle-card'))));
+        });
+
+        PrincipleState.subscribe(applyRemoteState);
+    }
+
+    // ===== DEEP LINKS =====
+
+    const PRINCIPLE_HASH_PATTERN = /^#principle-(\d+)$/;
+
+    /**
+     * Card for a principle number, or null
+     */
+    function getCard(cardId) {
+        return document.querySelector(`.principle-card[data-principle="${cardId}"]`);
+    }
+
+    /**
+     * Principles requested by the URL: #principle-3 and/or ?open=3,5
+     */
+    function getLinkedCardIds() {
+        const ids = [];
+        const hashMatch = window.location.hash.match(PRINCIPLE_HASH_PATTERN);
+        const open = new URLSearchParams(window.location.search).get('open');
+
+        if (hashMatch) ids.push(hashMatch[1]);
+        if (open) {
+            open.split(',').map(id => id.trim()).forEach(id => {
+                if (!ids.includes(id)) ids.push(id);
+            });
+        }
+
+        return ids.filter(id => /^\d+$/.test(id) && getCard(id));
+    }
+
+    /**
+     * Current URL with `open` set to the given principles (commas left readable)
+     */
+    function buildUrl(openIds, hash = '') {
+        const url = new URL(window.location.href);
+        const params = new URLSearchParams(url.search);
+        params.delete('open');
+
+        const query = [params.toString(), openIds.length ? `open=${openIds.join(',')}` : '']
+            .filter(Boolean)
+            .join('&');
+
+        return `${url.pathname}${query ? `?${query}` : ''}${hash}`;
+    }
+
+    /**
+     * Reflect the expanded cards in the URL (?open=1,4) without adding history entries
+     */
+    function updateUrl() {
+        const openIds = getChosenCards().sort((a, b) => a - b);
+        const hash = PRINCIPLE_HASH_PATTERN.test(window.location.hash) ? '' : window.location.hash;
+
+        // Merge so state stored by main.js (the modal stack) survives
+        history.replaceState({ ...history.state }, '', buildUrl(openIds, hash));
+    }
+
+    /**
+     * Share link that opens one principle
+     */
+    function getShareUrl(cardId) {
+        return new URL(buildUrl([], `#principle-${cardId}`), window.location.href).href;
+    }
+
+    /**
+     * Expand a principle and bring it into view; used by links, the hash and PrinciplesPage.
+     * Resolves with expandCard's result (false if there is no such principle).
+     */
+    function openPrinciple(cardId, { animate = true, scroll = true } = {}) {
+        const card = getCard(cardId);
+        if (!card) return Promise.resolve(false);
+
+        // A linked card must not stay hidden by the search
+        if (card.hidden) clearFilters();
+
+        const expanded = expandCard(card, animate);
+
+        if (scroll) {
+            card.scrollIntoView({ behavior: animate ? 'smooth' : 'auto', block: 'start' });
+
+            const header = card.querySelector('.principle-card__header');
+            if (header) header.focus({ preventScroll: true });
+        }
+
+        return expanded;
+    }
+
+    /**
+     * Open the principles named in the URL; returns whether any were linked
+     */
+    function openFromLocation(animate = false) {
+        const ids = getLinkedCardIds();
+
+        ids.forEach((id, index) => openPrinciple(id, { animate, scroll: index === 0 }));
+
+        return ids.length > 0;
+    }
+
+    /**
+     * Copy a principle's share link to the clipboard
+     */
+    async function copyPrincipleLink(cardId) {
+        const url = getShareUrl(cardId);
+
         try {
-            const saved = sessionStorage.getItem('flowInnovation_expandedPrinciples');
-            if (saved) {
-                const state = JSON.parse(saved);
-                state.forEach(cardId => {
-                    const card = document.querySelector(`[data-principle="${cardId}"]`);
-                    if (card) {
-                        expandCard(card, false); // Restore without animation
-                    }
-                });
+            if (navigator.clipboard) {
+                await navigator.clipboard.writeText(url);
+            } else {
+                // Fallback for older browsers
+                const textArea = document.createElement('textarea');
+                textArea.value = url;
+                document.body.appendChild(textArea);
+                textArea.select();
+                document.execCommand('copy');
+                document.body.removeChild(textArea);
             }
+
+            notify('Link copied. Anyone who opens it will see this principle expanded.', 'success');
+            trackCardInteraction(cardId, 'share');
         } catch (e) {
-            console.warn('Could not restore card state from sessionStorage');
+            notify(`Could not copy automatically. Here is the link: ${url}`, 'info');
+        }
+    }
+
+    /**
+     * Toast through main.js, falling back to a screen reader announcement
+     */
+    function notify(message, type) {
+        if (window.FlowInnovation) {
+            window.FlowInnovation.showNotification(message, type);
+        } else {
+            announceToScreenReader(message);
         }
     }
 
@@ -392,6 +763,13 @@
                 </svg>
                 Collapse All
             </button>
+            <a href="handbook.html?print=1" class="principle-control-btn">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="M6 9V2h12v7M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/>
+                    <rect x="6" y="14" width="12" height="8"/>
+                </svg>
+                Export Handbook
+            </a>
         `;
 
         // Add styles
@@ -441,22 +819,341 @@
         document.getElementById('collapse-all').addEventListener('click', collapseAll);
     }
 
+    // ===== SEARCH & THEME FILTERS =====
+
+    // Filter tags from principles-data.js; each card's themes are derived from its list items
+    const THEMES = window.FlowPrincipleThemes || [];
+
+    // cardId -> { text, themes }, built from the data rather than the rendered markup
+    const searchIndex = new Map();
+
+    const activeThemes = new Set();
+    let searchQuery = '';
+
+    // Cards opened because they matched, collapsed again when they stop matching
+    const searchExpanded = new Set();
+
+    // Search-opened cards the visitor closed; not reopened until they stop matching
+    const searchDismissed = new Set();
+
+    // True while the search opens or closes cards; that is view state, so it is not saved, put in the URL or tracked
+    let applyingSearch = false;
+
+    // Searched text that gets highlighted; notes, ratings and actions are left alone
+    const HIGHLIGHT_SELECTOR = '.principle-card__title, .principle-card__preview, .principle-section__text, .principle-quote, .principle-list, .elimination-text';
+
+    /**
+     * Lower-case text without the *emphasis* markers
+     */
+    function normalizeText(text) {
+        return String(text).replace(/\*/g, '').toLowerCase();
+    }
+
+    function getSearchTerms(query) {
+        return normalizeText(query).split(/\s+/).filter(Boolean);
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Themes whose keywords appear in a principle's eliminations or applications
+     */
+    function getPrincipleThemes(principle) {
+        const items = [
+            ...principle.eliminates,
+            ...principle.applications.map(item => `${item.label} ${item.text}`)
+        ].map(normalizeText);
+
+        return THEMES
+            .filter(theme => theme.keywords.some(keyword =>
+                items.some(item => item.includes(keyword.toLowerCase()))))
+            .map(theme => theme.id);
+    }
+
+    function buildSearchIndex() {
+        PRINCIPLES.forEach(principle => {
+            const text = [
+                principle.title,
+                principle.summary,
+                principle.practice,
+                principle.quote,
+                ...principle.applications.map(item => `${item.label}: ${item.text}`),
+                ...principle.eliminates
+            ].join('\n');
+
+            searchIndex.set(String(principle.id), {
+                text: normalizeText(text),
+                themes: getPrincipleThemes(principle)
+            });
+        });
+    }
+
+    function isFiltering() {
+        return getSearchTerms(searchQuery).length > 0 || activeThemes.size > 0;
+    }
+
+    /**
+     * Every term must appear; with themes selected, the card needs at least one of them
+     */
+    function matchesFilters(card, terms) {
+        const entry = searchIndex.get(getCardId(card));
+        if (!entry) return true;
+
+        const matchesTerms = terms.every(term => entry.text.includes(term));
+        const matchesThemes = !activeThemes.size || entry.themes.some(id => activeThemes.has(id));
+
+        return matchesTerms && matchesThemes;
+    }
+
+    /**
+     * Cards not hidden by the current search or filters, in page order
+     */
+    function getVisibleCards() {
+        return Array.from(principleCards).filter(card => !card.hidden);
+    }
+
+    function clearHighlights(card) {
+        card.querySelectorAll('mark.principle-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            parent.replaceChild(document.createTextNode(mark.textContent), mark);
+            parent.normalize();
+        });
+    }
+
+    /**
+     * Wrap each occurrence of the terms in <mark>; returns how many were marked
+     */
+    function highlightTerms(card, terms) {
+        clearHighlights(card);
+        if (!terms.length) return 0;
+
+        const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+        let count = 0;
+
+        card.querySelectorAll(HIGHLIGHT_SELECTOR).forEach(element => {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+            textNodes.forEach(node => {
+                // split() with a capture group puts the matches at the odd indexes
+                const parts = node.textContent.split(pattern);
+                if (parts.length < 2) return;
+
+                const fragment = document.createDocumentFragment();
+                parts.forEach((part, index) => {
+                    if (!part) return;
+
+                    if (index % 2 === 1) {
+                        const mark = document.createElement('mark');
+                        mark.className = 'principle-highlight';
+                        mark.textContent = part;
+                        fragment.appendChild(mark);
+                        count++;
+                    } else {
+                        fragment.appendChild(document.createTextNode(part));
+                    }
+                });
+
+                node.parentNode.replaceChild(fragment, node);
+            });
+        });
+
+        return count;
+    }
+
+    /**
+     * Show matching cards (expanded and highlighted), hide the rest and report the count
+     */
+    function applyFilters() {
+        const terms = getSearchTerms(searchQuery);
+        let matches = 0;
+        let highlights = 0;
+
+        applyingSearch = true;
+        principleCards.forEach(card => {
+            const cardId = getCardId(card);
+            const visible = matchesFilters(card, terms);
+
+            card.hidden = !visible;
+            highlights += highlightTerms(card, visible ? terms : []);
+
+            if (visible) {
+                matches++;
+            }
+
+            if (visible && terms.length) {
+                if (!isCardExpanded(card) && !searchDismissed.has(cardId)) {
+                    searchExpanded.add(cardId);
+                    expandCard(card);
+                }
+            } else {
+                searchDismissed.delete(cardId);
+                if (searchExpanded.has(cardId)) {
+                    searchExpanded.delete(cardId);
+                    collapseCard(card, visible);
+                }
+            }
+        });
+        applyingSearch = false;
+
+        updateSearchStatus(matches, highlights, terms);
+
+        return matches;
+    }
+
+    /**
+     * A visitor toggling a search-opened card takes it over from the search
+     */
+    function releaseFromSearch(card) {
+        const cardId = getCardId(card);
+        if (!searchExpanded.delete(cardId)) return;
+
+        // Closing it means "not this one": keep it closed while it still matches
+        if (isCardExpanded(card)) searchDismissed.add(cardId);
+    }
+
+    function updateSearchStatus(matches, highlights, terms) {
+        const status = document.getElementById('principles-search-count');
+        const clearButton = document.querySelector('.principles-search__clear');
+        if (!status) return;
+
+        const total = principleCards.length;
+        const filtering = isFiltering();
+
+        if (!filtering) {
+            status.textContent = `Showing all ${total} principles`;
+        } else if (!matches) {
+            status.textContent = 'No principles match. Try fewer words or another theme.';
+        } else {
+            status.textContent = `Showing ${matches} of ${total} principles` +
+                (terms.length ? ` · ${highlights} ${highlights === 1 ? 'match' : 'matches'} for "${searchQuery.trim()}"` : '');
+        }
+
+        if (clearButton) {
+            clearButton.hidden = !filtering;
+        }
+    }
+
+    /**
+     * Reset the search box and theme tags
+     */
+    function clearFilters() {
+        const input = document.getElementById('principles-search-input');
+        if (input) input.value = '';
+
+        searchQuery = '';
+        activeThemes.clear();
+        document.querySelectorAll('.principles-search__tag').forEach(tag => {
+            tag.setAttribute('aria-pressed', 'false');
+        });
+
+        applyFilters();
+    }
+
+    function setSearchQuery(query) {
+        const input = document.getElementById('principles-search-input');
+        if (input) input.value = query;
+
+        searchQuery = query;
+        applyFilters();
+    }
+
+    /**
+     * Add the search box and theme tags above the cards
+     */
+    function initSearch() {
+        const cardsContainer = document.querySelector('.principles-cards');
+        if (!cardsContainer || !principleCards.length) return;
+
+        buildSearchIndex();
+
+        const themeCounts = THEMES.map(theme => ({
+            ...theme,
+            count: Array.from(searchIndex.values()).filter(entry => entry.themes.includes(theme.id)).length
+        })).filter(theme => theme.count > 0);
+
+        const tags = themeCounts.map(theme => `
+                <button type="button" class="principles-search__tag" data-theme="${escapeHtml(theme.id)}" aria-pressed="false">
+                    ${escapeHtml(theme.label)} <span class="principles-search__tag-count">${theme.count}</span>
+                </button>`).join('');
+
+        const search = document.createElement('div');
+        search.className = 'principles-search';
+        search.setAttribute('role', 'search');
+        search.innerHTML = `
+            <label class="principles-search__label" for="principles-search-input">Search the principles</label>
+            <input type="search" class="form-input principles-search__input" id="principles-search-input"
+                   placeholder='Try "stakeholder" or "resistance"' autocomplete="off">
+            ${tags ? `<div class="principles-search__themes" role="group" aria-label="Filter by theme">${tags}
+            </div>` : ''}
+            <div class="principles-search__status">
+                <p class="principles-search__count" id="principles-search-count" aria-live="polite"></p>
+                <button type="button" class="principles-search__clear" hidden>Clear search</button>
+            </div>
+        `;
+
+        cardsContainer.parentNode.insertBefore(search, cardsContainer);
+
+        const input = search.querySelector('.principles-search__input');
+        const runSearch = debounce(() => {
+            searchQuery = input.value;
+            const results = applyFilters();
+
+            if (searchQuery.trim()) {
+                trackEvent('principle_search', { query: searchQuery.trim().toLowerCase(), results });
+            }
+        }, 200);
+
+        input.addEventListener('input', runSearch);
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && input.value) {
+                event.preventDefault();
+                setSearchQuery('');
+            }
+        });
+
+        search.querySelectorAll('.principles-search__tag').forEach(tag => {
+            tag.addEventListener('click', () => {
+                const themeId = tag.dataset.theme;
+                const pressed = !activeThemes.has(themeId);
+
+                if (pressed) {
+                    activeThemes.add(themeId);
+                } else {
+                    activeThemes.delete(themeId);
+                }
+                tag.setAttribute('aria-pressed', String(pressed));
+                applyFilters();
+            });
+        });
+
+        search.querySelector('.principles-search__clear').addEventListener('click', () => {
+            clearFilters();
+            input.focus();
+        });
+
+        updateSearchStatus(principleCards.length, 0, []);
+    }
+
     // ===== ANALYTICS & ACCESSIBILITY =====
     
     /**
-     * Track card interactions for analytics
+     * Send an event through analytics.js (held back until the visitor consents)
      */
-    function trackCardInteraction(cardId, action) {
-        // In a real implementation, you would send this to your analytics service
-        if (typeof gtag !== 'undefined') {
-            gtag('event', 'principle_card_interaction', {
-                'principle_id': cardId,
-                'action': action,
-                'event_category': 'engagement'
-            });
+    function trackEvent(name, properties) {
+        if (window.FlowAnalytics) {
+            window.FlowAnalytics.track(name, properties);
         }
-        
-        console.log(`Analytics: Principle ${cardId} ${action}`);
+    }
+
+    /**
+     * Track card interactions ('expand', 'collapse', 'share', 'slide_view') as principle_<action>
+     */
+    function trackCardInteraction(cardId, action) {
+        trackEvent(`principle_${action}`, { principle: cardId });
     }
 
     /**
@@ -534,14 +1231,19 @@
             toggle.addEventListener('click', handleToggleClick);
         });
 
-        // Save state on page unload
-        window.addEventListener('beforeunload', debounce(saveCardState, 100));
+        // Copy-link buttons
+        document.querySelectorAll('.principle-card__share').forEach(button => {
+            button.addEventListener('click', () => copyPrincipleLink(button.dataset.sharePrinciple));
+        });
+
+        // In-page links such as <a href="#principle-4">
+        window.addEventListener('hashchange', () => openFromLocation(true));
 
         // Handle window resize (recalculate heights if needed)
         window.addEventListener('resize', debounce(() => {
             // Recalculate expanded card heights after resize
             principleCards.forEach(card => {
-                if (isCardExpanded(card)) {
+                if (isCardExpanded(card) && !animations.has(card)) {
                     const content = card.querySelector('.principle-card__content');
                     if (content) {
                         content.style.maxHeight = 'none';
@@ -558,15 +1260,20 @@
         console.log('🎯 Principles page - Initializing...');
 
         // Initialize core functionality
+        renderPrinciples();
         initAccessibility();
         attachEventListeners();
         
         // Initialize advanced features
         initIntersectionObserver();
         addControlButtons();
+        initSearch();
         
-        // Restore previous session state
-        restoreCardState();
+        // A shared link decides what is open; otherwise restore the saved state
+        if (!openFromLocation()) {
+            restoreCardState();
+        }
+        initPersistence();
         
         // Optional: Auto-expand first principle after a delay
         setTimeout(() => {
@@ -591,17 +1298,18 @@
     // ===== EXPORT FOR DEBUGGING =====
     if (typeof window !== 'undefined') {
         window.PrinciplesPage = {
-            expandCard: (cardNumber) => {
-                const card = document.querySelector(`[data-principle="${cardNumber}"]`);
-                if (card) expandCard(card);
-            },
+            expandCard: (cardNumber) => openPrinciple(String(cardNumber)),
             collapseCard: (cardNumber) => {
-                const card = document.querySelector(`[data-principle="${cardNumber}"]`);
-                if (card) collapseCard(card);
+                const card = getCard(cardNumber);
+                return card ? collapseCard(card) : Promise.resolve(false);
             },
             expandAll,
             collapseAll,
-            getExpandedCards: () => Array.from(expandedCards)
+            getExpandedCards: () => Array.from(expandedCards),
+            getShareUrl,
+            search: setSearchQuery,
+            clearFilters,
+            trackCardInteraction
         };
     }
 
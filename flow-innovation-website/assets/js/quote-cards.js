@@ -0,0 +1,469 @@
+/**
+ * Flow Innovation - Quote Cards
+ * "Share as image" for article and principle quotes: draws a branded card on a
+ * canvas (Flow Blue, Inter) with attribution and a link back to the quote, then
+ * offers it as a PNG download or through the Web Share API.
+ *
+ * Loaded on philosophy.html and principles.html after the page scripts.
+ */
+
+(function() {
+    'use strict';
+
+    // ===== CONFIGURATION =====
+    const QUOTE_SELECTOR = '.article-quote, .philosophy-quote-large blockquote, .principle-quote';
+    const MODAL_ID = 'quote-card';
+
+    // LinkedIn's recommended share image size
+    const CARD_WIDTH = 1200;
+    const CARD_HEIGHT = 627;
+    const PADDING = 80;
+
+    const COLORS = {
+        blue: '#1e40af',
+        navy: '#0f172a',
+        white: '#ffffff',
+        muted: 'rgba(255, 255, 255, 0.72)',
+        faint: 'rgba(255, 255, 255, 0.14)'
+    };
+
+    const FONT_FAMILY = 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+
+    // Same mark as the favicon (24x24 viewBox)
+    const LOGO_PATH = 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z';
+
+    // ===== STATE =====
+    let modal = null;
+    let current = null; // { quote, canvas, blob, fileName }
+    let renderToken = 0; // bumped on every open, so a slower earlier render is dropped
+
+    // ===== QUOTE DETAILS =====
+
+    /**
+     * Quote text without the surrounding quotation marks or button labels
+     */
+    function getQuoteText(element) {
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll('button').forEach(button => button.remove());
+
+        return clone.textContent
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^["“”]+|["“”]+$/g, '')
+            .trim();
+    }
+
+    /**
+     * Percent-encode a text fragment term (the directive reserves "-", "," and "&")
+     */
+    function encodeFragmentText(text) {
+        return encodeURIComponent(text).replace(/-/g, '%2D').replace(/,/g, '%2C');
+    }
+
+    /**
+     * Text fragment for a quote: the whole quote when short, otherwise its first and last words
+     */
+    function getTextFragment(text) {
+        const words = text.split(' ');
+        if (words.length <= 8) return `:~:text=${encodeFragmentText(text)}`;
+
+        return `:~:text=${encodeFragmentText(words.slice(0, 4).join(' '))},${encodeFragmentText(words.slice(-4).join(' '))}`;
+    }
+
+    /**
+     * Text, attribution and links for a quote element.
+     * Article quotes link to their section plus a text fragment; principle
+     * quotes link to the card, which opens itself from the hash.
+     */
+    function describeQuote(element) {
+        const text = getQuoteText(element);
+        const card = element.closest('.principle-card');
+        const pageUrl = window.location.href.split(/[?#]/)[0];
+
+        if (card) {
+            const id = card.dataset.principle;
+            const title = card.querySelector('.principle-card__title').textContent.trim();
+            const shareUrl = window.PrinciplesPage
+                ? window.PrinciplesPage.getShareUrl(id)
+                : `${pageUrl}#principle-${id}`;
+
+            return {
+                text,
+                source: `Principle ${String(id).padStart(2, '0')} · ${title}`,
+                section: `principle-${id}`,
+                shareUrl,
+                displayUrl: shareUrl
+            };
+        }
+
+        const section = element.closest('.article-section');
+        const heading = section && section.querySelector('.article-section__title');
+        const headingText = heading
+            ? Array.from(heading.childNodes)
+                .filter(node => node.nodeType === Node.TEXT_NODE)
+                .map(node => node.textContent)
+                .join('')
+                .trim()
+            : '';
+        const anchorUrl = section ? `${pageUrl}#${section.id}` : pageUrl;
+
+        return {
+            text,
+            source: headingText ? `The Philosophy · ${headingText}` : 'The Philosophy of Flow Innovation',
+            section: section ? section.id : '',
+            shareUrl: `${section ? anchorUrl : `${pageUrl}#`}${getTextFragment(text)}`,
+            displayUrl: anchorUrl
+        };
+    }
+
+    // ===== RENDERING =====
+
+    /**
+     * Split text into lines no wider than maxWidth at the current font
+     */
+    function wrapText(context, text, maxWidth) {
+        const lines = [];
+        let line = '';
+
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && context.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Make sure Inter is ready before drawing, or the canvas falls back to a system font
+     */
+    function loadFonts() {
+        if (!document.fonts) return Promise.resolve();
+
+        return Promise.all([
+            document.fonts.load(`600 48px ${FONT_FAMILY}`),
+            document.fonts.load(`700 24px ${FONT_FAMILY}`),
+            document.fonts.load(`400 20px ${FONT_FAMILY}`)
+        ]).catch(() => {
+            // Offline or blocked: system fonts still make a readable card
+        });
+    }
+
+    /**
+     * Draw the card for a described quote onto a new canvas
+     */
+    async function renderCard(quote) {
+        await loadFonts();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = CARD_WIDTH;
+        canvas.height = CARD_HEIGHT;
+        const context = canvas.getContext('2d');
+
+        // Background
+        const gradient = context.createLinearGradient(0, 0, CARD_WIDTH, CARD_HEIGHT);
+        gradient.addColorStop(0, COLORS.blue);
+        gradient.addColorStop(1, COLORS.navy);
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+        // Oversized opening quote mark
+        context.fillStyle = COLORS.faint;
+        context.font = `900 280px ${FONT_FAMILY}`;
+        context.textBaseline = 'top';
+        context.fillText('“', PADDING - 20, 10);
+
+        // Quote: the largest size (56px down to 28px) that fits above the footer
+        const maxWidth = CARD_WIDTH - PADDING * 2;
+        const quoteTop = PADDING + 40;
+        const quoteBottom = CARD_HEIGHT - 170;
+        let fontSize = 56;
+        let lines;
+
+        for (;; fontSize -= 4) {
+            context.font = `600 ${fontSize}px ${FONT_FAMILY}`;
+            lines = wrapText(context, `“${quote.text}”`, maxWidth);
+            if (fontSize <= 28 || lines.length * fontSize * 1.3 <= quoteBottom - quoteTop) break;
+        }
+
+        const lineHeight = fontSize * 1.3;
+        const blockTop = quoteTop + Math.max(0, (quoteBottom - quoteTop - lines.length * lineHeight) / 2);
+
+        context.fillStyle = COLORS.white;
+        lines.forEach((line, index) => {
+            context.fillText(line, PADDING, blockTop + index * lineHeight);
+        });
+
+        // Divider
+        const footerTop = CARD_HEIGHT - 130;
+        context.fillStyle = COLORS.muted;
+        context.fillRect(PADDING, footerTop, 64, 3);
+
+        // Attribution: logo, brand and source
+        const logo = new Path2D(LOGO_PATH);
+        context.save();
+        context.translate(PADDING, footerTop + 28);
+        context.scale(1.5, 1.5);
+        context.fillStyle = COLORS.white;
+        context.fill(logo);
+        context.restore();
+
+        context.fillStyle = COLORS.white;
+        context.font = `700 26px ${FONT_FAMILY}`;
+        context.fillText('Flow Innovation', PADDING + 48, footerTop + 30);
+
+        context.fillStyle = COLORS.muted;
+        context.font = `400 20px ${FONT_FAMILY}`;
+        context.fillText(quote.source, PADDING + 48, footerTop + 64);
+
+        // Link back, right-aligned and shortened to fit
+        const displayUrl = quote.displayUrl.replace(/^https?:\/\//, '');
+        context.font = `500 18px ${FONT_FAMILY}`;
+        context.textAlign = 'right';
+        context.fillText(truncate(context, displayUrl, 460), CARD_WIDTH - PADDING, footerTop + 66);
+        context.textAlign = 'left';
+
+        return canvas;
+    }
+
+    function truncate(context, text, maxWidth) {
+        if (context.measureText(text).width <= maxWidth) return text;
+
+        let shortened = text;
+        while (shortened.length > 1 && context.measureText(`…${shortened}`).width > maxWidth) {
+            shortened = shortened.slice(1);
+        }
+        return `…${shortened}`;
+    }
+
+    function toBlob(canvas) {
+        return new Promise((resolve, reject) => canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Canvas could not be encoded as PNG'));
+            }
+        }, 'image/png'));
+    }
+
+    function getFileName(quote) {
+        const slug = quote.text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+        return `flow-innovation-${slug || 'quote'}.png`;
+    }
+
+    // ===== SHARING =====
+
+    function track(method) {
+        if (window.FlowAnalytics && current) {
+            window.FlowAnalytics.track('quote_share', { section: current.quote.section, method });
+        }
+    }
+
+    function downloadCard() {
+        if (!current) return;
+
+        const url = URL.createObjectURL(current.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = current.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        track('download');
+    }
+
+    function canShareFiles(file) {
+        return Boolean(navigator.share && navigator.canShare && navigator.canShare({ files: [file] }));
+    }
+
+    async function shareCard() {
+        if (!current) return;
+
+        const file = new File([current.blob], current.fileName, { type: 'image/png' });
+        const { quote } = current;
+
+        try {
+            // Some share targets drop `url` when files are attached, so the link is in the text too
+            await navigator.share({
+                files: [file],
+                title: 'Flow Innovation',
+                text: `“${quote.text}” ${quote.shareUrl}`
+            });
+            track('share');
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                notify('Sharing failed. Download the image instead.', 'error');
+            }
+        }
+    }
+
+    async function copyLink() {
+        if (!current) return;
+
+        try {
+            await navigator.clipboard.writeText(current.quote.shareUrl);
+            notify('Link to the quote copied', 'success');
+            track('link');
+        } catch (error) {
+            notify('Could not copy the link', 'error');
+        }
+    }
+
+    function notify(message, type) {
+        if (window.FlowInnovation) {
+            window.FlowInnovation.showNotification(message, type);
+        }
+    }
+
+    // ===== MODAL =====
+
+    /**
+     * Preview modal using the shared modal markup from main.js
+     */
+    function buildModal() {
+        modal = document.createElement('div');
+        modal.className = 'modal modal--quote-card';
+        modal.id = `${MODAL_ID}-modal`;
+        modal.innerHTML = `
+            <div class="modal__content">
+                <div class="modal__header">
+                    <h3 class="modal__title">Share as image</h3>
+                    <button type="button" class="modal__close" data-close-modal>
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M18 6L6 18M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="modal__body">
+                    <div class="quote-card-preview" aria-live="polite"></div>
+                    <div class="quote-card-actions">
+                        <button type="button" class="btn btn--primary" data-quote-card="download">Download PNG</button>
+                        <button type="button" class="btn btn--secondary" data-quote-card="share" hidden>Share...</button>
+                        <button type="button" class="btn btn--secondary" data-quote-card="link">Copy link</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        modal.addEventListener('click', event => {
+            const action = event.target.closest('[data-quote-card]');
+            if (!action) return;
+
+            if (action.dataset.quoteCard === 'download') downloadCard();
+            if (action.dataset.quoteCard === 'share') shareCard();
+            if (action.dataset.quoteCard === 'link') copyLink();
+        });
+
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Render the card for a quote element and show it in the preview modal
+     */
+    async function openQuoteCard(element) {
+        const Modal = window.FlowInnovation && window.FlowInnovation.Modal;
+        if (!Modal) return;
+
+        if (!modal) buildModal();
+
+        const preview = modal.querySelector('.quote-card-preview');
+        const shareButton = modal.querySelector('[data-quote-card="share"]');
+        preview.innerHTML = '<p class="quote-card-preview__status">Rendering...</p>';
+        shareButton.hidden = true;
+        current = null;
+        Modal.open(MODAL_ID);
+
+        const token = ++renderToken;
+        const quote = describeQuote(element);
+        let canvas;
+        let blob;
+
+        try {
+            canvas = await renderCard(quote);
+            blob = await toBlob(canvas);
+        } catch (error) {
+            if (token !== renderToken) return;
+            console.error('Quote card rendering failed:', error);
+            preview.innerHTML = '<p class="quote-card-preview__status">The image could not be created.</p>';
+            notify('Could not create the quote image', 'error');
+            return;
+        }
+
+        // Another quote was opened meanwhile
+        if (token !== renderToken) return;
+
+        const fileName = getFileName(quote);
+        current = { quote, canvas, blob, fileName };
+
+        const image = document.createElement('img');
+        image.className = 'quote-card-preview__image';
+        image.src = canvas.toDataURL('image/png');
+        image.alt = `Quote card: “${quote.text}” — Flow Innovation, ${quote.source}`;
+        preview.replaceChildren(image);
+
+        shareButton.hidden = !canShareFiles(new File([blob], fileName, { type: 'image/png' }));
+    }
+
+    // ===== SHARE BUTTONS =====
+
+    /**
+     * Add a "Share as image" button to every quote under `root` that lacks one
+     */
+    function attachShareButtons(root = document) {
+        root.querySelectorAll(QUOTE_SELECTOR).forEach(quote => {
+            if (quote.querySelector('.quote-share-btn')) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quote-share-btn';
+            button.title = 'Share as image';
+            button.setAttribute('aria-label', 'Share quote as image');
+            button.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
+                    <circle cx="8.5" cy="8.5" r="1.5"/>
+                    <path d="M21 15l-5-5L5 21"/>
+                </svg>
+            `;
+
+            button.addEventListener('click', event => {
+                // Principle quotes sit inside clickable cards
+                event.stopPropagation();
+                openQuoteCard(quote);
+            });
+
+            quote.appendChild(button);
+        });
+    }
+
+    // ===== INITIALIZATION =====
+
+    function initQuoteCards() {
+        if (!document.querySelector(QUOTE_SELECTOR) || !('toBlob' in HTMLCanvasElement.prototype)) return;
+
+        attachShareButtons();
+        console.log('🖼️ Quote cards - Ready');
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initQuoteCards);
+    } else {
+        initQuoteCards();
+    }
+
+    // ===== EXPORT FOR DEBUGGING =====
+    window.FlowQuoteCards = {
+        attachShareButtons,
+        describeQuote,
+        renderCard,
+        openQuoteCard
+    };
+
+})();
@@ -0,0 +1,335 @@
+/**
+ * Flow Innovation - Reader Preferences
+ * Text size, line spacing, content width, reading theme, a dyslexia-friendly
+ * font and focus mode. Saved in localStorage and applied on every page through
+ * the CSS custom properties in main.css.
+ *
+ * Loaded in <head> so saved settings apply before the first paint; the panel
+ * itself is built once the DOM is ready.
+ */
+
+(function() {
+    'use strict';
+
+    // ===== CONFIGURATION =====
+    const STORAGE_KEY = 'flowInnovation_readerPreferences';
+    const SCHEMA_VERSION = 1;
+
+    // Font size tokens from main.css (rem), scaled together so the hierarchy holds
+    const TEXT_SIZES = {
+        '--text-xs': 0.75,
+        '--text-sm': 0.875,
+        '--text-base': 1,
+        '--text-lg': 1.125,
+        '--text-xl': 1.25,
+        '--text-2xl': 1.5,
+        '--text-3xl': 1.875,
+        '--text-4xl': 2.25,
+        '--text-5xl': 3
+    };
+
+    const OPTIONS = {
+        fontScale: [
+            { value: 0.9, label: '90%' },
+            { value: 1, label: '100%' },
+            { value: 1.125, label: '112%' },
+            { value: 1.25, label: '125%' },
+            { value: 1.4, label: '140%' }
+        ],
+        lineHeight: [
+            { value: 1.6, label: 'Compact' },
+            { value: 1.8, label: 'Normal' },
+            { value: 2.1, label: 'Relaxed' }
+        ],
+        width: [
+            { value: 640, label: 'Narrow' },
+            { value: 800, label: 'Normal' },
+            { value: 960, label: 'Wide' }
+        ],
+        theme: [
+            { value: 'light', label: 'Light' },
+            { value: 'sepia', label: 'Sepia' },
+            { value: 'dark', label: 'Dark' }
+        ],
+        font: [
+            { value: 'default', label: 'Inter' },
+            { value: 'dyslexia', label: 'Dyslexia-friendly' }
+        ]
+    };
+
+    const DEFAULTS = {
+        fontScale: 1,
+        lineHeight: 1.8,
+        width: 800,
+        theme: 'light',
+        font: 'default',
+        focus: false
+    };
+
+    // Atkinson Hyperlegible, fetched only once someone picks the dyslexia-friendly font
+    const DYSLEXIA_FONT_URL = 'https://fonts.googleapis.com/css2?family=Atkinson+Hyperlegible:wght@400;700&display=swap';
+
+    // ===== STATE =====
+    let preferences = load();
+    let panel = null;
+    let returnFocus = null;
+
+    // ===== STORAGE =====
+
+    /**
+     * Saved preferences, with anything unknown or out of range reset to the default
+     */
+    function load() {
+        let stored = null;
+
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            // Corrupt or unavailable: defaults
+        }
+
+        if (!stored || stored.version !== SCHEMA_VERSION) return { ...DEFAULTS };
+
+        const result = { ...DEFAULTS };
+        Object.keys(OPTIONS).forEach(key => {
+            if (OPTIONS[key].some(option => option.value === stored[key])) {
+                result[key] = stored[key];
+            }
+        });
+        result.focus = stored.focus === true;
+
+        return result;
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, ...preferences }));
+        } catch (e) {
+            console.warn('Could not save reader preferences to localStorage');
+        }
+    }
+
+    // ===== APPLYING =====
+
+    function loadDyslexiaFont() {
+        if (document.getElementById('reader-font-dyslexia')) return;
+
+        const link = document.createElement('link');
+        link.id = 'reader-font-dyslexia';
+        link.rel = 'stylesheet';
+        link.href = DYSLEXIA_FONT_URL;
+        document.head.appendChild(link);
+    }
+
+    /**
+     * Reflect the preferences on <html>: custom properties for sizes, data attributes for the rest
+     */
+    function apply() {
+        const root = document.documentElement;
+
+        Object.entries(TEXT_SIZES).forEach(([property, size]) => {
+            if (preferences.fontScale === 1) {
+                root.style.removeProperty(property);
+            } else {
+                root.style.setProperty(property, `${+(size * preferences.fontScale).toFixed(4)}rem`);
+            }
+        });
+
+        if (preferences.lineHeight === DEFAULTS.lineHeight) {
+            root.style.removeProperty('--reading-line-height');
+        } else {
+            root.style.setProperty('--reading-line-height', preferences.lineHeight);
+        }
+
+        if (preferences.width === DEFAULTS.width) {
+            root.style.removeProperty('--reading-width');
+        } else {
+            root.style.setProperty('--reading-width', `${preferences.width}px`);
+        }
+
+        if (preferences.theme === 'light') {
+            delete root.dataset.readerTheme;
+        } else {
+            root.dataset.readerTheme = preferences.theme;
+        }
+
+        if (preferences.font === 'dyslexia') {
+            loadDyslexiaFont();
+            root.dataset.readerFont = 'dyslexia';
+        } else {
+            delete root.dataset.readerFont;
+        }
+
+        if (preferences.focus) {
+            root.dataset.readerFocus = 'on';
+        } else {
+            delete root.dataset.readerFocus;
+        }
+    }
+
+    /**
+     * Change one or more preferences, then apply and save them
+     */
+    function set(changes) {
+        preferences = { ...preferences, ...changes };
+        apply();
+        save();
+        syncPanel();
+    }
+
+    function reset() {
+        set({ ...DEFAULTS });
+    }
+
+    // ===== PANEL =====
+
+    function renderChoices(key, legend) {
+        const choices = OPTIONS[key].map(option => `
+                <label class="reader-choice">
+                    <input type="radio" class="reader-choice__input" name="reader-${key}" value="${option.value}" data-preference="${key}">
+                    <span class="reader-choice__label">${option.label}</span>
+                </label>`).join('');
+
+        return `
+            <fieldset class="reader-panel__group">
+                <legend class="reader-panel__legend">${legend}</legend>
+                <div class="reader-panel__choices">${choices}
+                </div>
+            </fieldset>`;
+    }
+
+    function buildPanel() {
+        // Focus mode follows the section philosophy.js marks as current
+        const hasArticle = Boolean(document.querySelector('.article-section'));
+
+        panel = document.createElement('aside');
+        panel.className = 'reader-panel';
+        panel.id = 'reader-panel';
+        panel.setAttribute('aria-label', 'Reading preferences');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="reader-panel__header">
+                <h2 class="reader-panel__title">Reading Preferences</h2>
+                <button type="button" class="reader-panel__close" aria-label="Close reading preferences">×</button>
+            </div>
+            <div class="reader-panel__body">
+                ${renderChoices('fontScale', 'Text size')}
+                ${renderChoices('lineHeight', 'Line spacing')}
+                ${renderChoices('width', 'Content width')}
+                ${renderChoices('theme', 'Theme')}
+                ${renderChoices('font', 'Font')}
+                ${hasArticle ? `
+                <label class="reader-panel__toggle">
+                    <input type="checkbox" data-preference="focus">
+                    <span>Focus mode <small>(dims everything but the current section)</small></span>
+                </label>` : ''}
+            </div>
+            <div class="reader-panel__footer">
+                <p class="reader-panel__note">Saved in this browser and used on every page.</p>
+                <button type="button" class="reader-panel__reset">Reset</button>
+            </div>
+        `;
+
+        panel.addEventListener('change', event => {
+            const key = event.target.dataset.preference;
+            if (!key) return;
+
+            if (key === 'focus') {
+                set({ focus: event.target.checked });
+            } else {
+                const option = OPTIONS[key].find(item => String(item.value) === event.target.value);
+                if (option) set({ [key]: option.value });
+            }
+        });
+
+        panel.querySelector('.reader-panel__close').addEventListener('click', closePanel);
+        panel.querySelector('.reader-panel__reset').addEventListener('click', reset);
+
+        document.body.appendChild(panel);
+        syncPanel();
+    }
+
+    /**
+     * Check the controls that match the current preferences
+     */
+    function syncPanel() {
+        if (!panel) return;
+
+        panel.querySelectorAll('[data-preference]').forEach(input => {
+            const value = preferences[input.dataset.preference];
+            input.checked = input.type === 'checkbox' ? value : input.value === String(value);
+        });
+    }
+
+    function openPanel(trigger) {
+        if (!panel) buildPanel();
+
+        returnFocus = trigger || document.activeElement;
+        panel.hidden = false;
+        document.querySelectorAll('[data-reader-preferences]').forEach(button => button.setAttribute('aria-expanded', 'true'));
+
+        const checked = panel.querySelector('input:checked');
+        (checked || panel.querySelector('.reader-panel__close')).focus();
+    }
+
+    function closePanel() {
+        if (!panel || panel.hidden) return;
+
+        panel.hidden = true;
+        document.querySelectorAll('[data-reader-preferences]').forEach(button => button.setAttribute('aria-expanded', 'false'));
+
+        if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    // ===== INITIALIZATION =====
+
+    function initReaderPreferences() {
+        document.querySelectorAll('[data-reader-preferences]').forEach(button => {
+            button.setAttribute('aria-controls', 'reader-panel');
+            button.setAttribute('aria-expanded', 'false');
+        });
+
+        document.addEventListener('click', event => {
+            const trigger = event.target.closest('[data-reader-preferences]');
+            if (!trigger) return;
+
+            event.preventDefault();
+            if (panel && !panel.hidden) {
+                closePanel();
+            } else {
+                openPanel(trigger);
+            }
+        });
+
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && panel && !panel.hidden) closePanel();
+        });
+    }
+
+    apply();
+
+    // Changes made in another tab
+    window.addEventListener('storage', event => {
+        if (event.key !== STORAGE_KEY) return;
+        preferences = load();
+        apply();
+        syncPanel();
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initReaderPreferences);
+    } else {
+        initReaderPreferences();
+    }
+
+    // ===== EXPORT FOR DEBUGGING =====
+    window.FlowReaderPreferences = {
+        get: () => ({ ...preferences }),
+        set,
+        reset,
+        openPanel: () => openPanel(),
+        closePanel
+    };
+
+})();
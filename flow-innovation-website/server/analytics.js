@@ -0,0 +1,134 @@
+/**
+ * Flow Innovation - Analytics Events
+ * Receives consented event batches from assets/js/analytics.js (beacon adapter)
+ *
+ * Report: node server/analytics.js   (or npm run analytics:report)
+ */
+
+'use strict';
+
+const path = require('path');
+const { HttpError, readJson } = require('./http');
+const { createRateLimiter, getClientIp } = require('./spam');
+const { ROOT } = require('./static');
+
+const { EVENTS, MAX_BATCH, PROPERTY_MAX_LENGTH } = require('../assets/js/analytics');
+
+const MAX_BODY_BYTES = 32 * 1024;
+
+// Batches per client; a page sends one every few seconds at most
+const RATE_LIMIT = { limit: 60, windowMs: 60 * 1000 };
+
+/**
+ * Sanitized copy of one event, or null if it is not part of the taxonomy
+ */
+function validateEvent(event) {
+    if (!event || typeof event !== 'object') return null;
+    if (!Object.prototype.hasOwnProperty.call(EVENTS, event.name)) return null;
+
+    const source = event.properties && typeof event.properties === 'object' ? event.properties : {};
+    const properties = {};
+
+    EVENTS[event.name].forEach(key => {
+        const value = source[key];
+
+        if (typeof value === 'string') {
+            properties[key] = value.slice(0, PROPERTY_MAX_LENGTH);
+        } else if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean') {
+            properties[key] = value;
+        }
+    });
+
+    const timestamp = Date.parse(event.timestamp);
+
+    return {
+        name: event.name,
+        properties,
+        page: typeof event.page === 'string' ? event.page.slice(0, PROPERTY_MAX_LENGTH) : '',
+        occurredAt: Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString()
+    };
+}
+
+/**
+ * Create the POST /api/events handler; valid events are appended to `store`
+ */
+function createEventsHandler(store, { limit, windowMs } = RATE_LIMIT) {
+    const limiter = createRateLimiter(limit, windowMs);
+
+    return async function handleEvents(req, res) {
+        const retryAfter = limiter.hit(getClientIp(req));
+        if (retryAfter) {
+            throw new HttpError(429, 'rate_limited', 'Too many analytics batches.', { retryAfter });
+        }
+
+        const body = await readJson(req, MAX_BODY_BYTES);
+        const events = body && Array.isArray(body.events) ? body.events : null;
+
+        if (!events || !events.length || events.length > MAX_BATCH) {
+            throw new HttpError(400, 'invalid_events', `Send between 1 and ${MAX_BATCH} events.`);
+        }
+
+        const accepted = events.map(validateEvent).filter(Boolean);
+        if (!accepted.length) {
+            throw new HttpError(400, 'invalid_events', 'None of the events are part of the taxonomy.');
+        }
+
+        await store.insertMany(accepted);
+
+        // sendBeacon ignores the response body
+        res.writeHead(204, { 'Cache-Control': 'no-store' });
+        res.end();
+    };
+}
+
+/**
+ * Event counts by name, with the most common property values
+ */
+function summarizeEvents(events) {
+    const byName = new Map();
+
+    events.forEach(event => {
+        if (!byName.has(event.name)) {
+            byName.set(event.name, { event: event.name, count: 0, values: new Map() });
+        }
+        const entry = byName.get(event.name);
+        entry.count++;
+
+        Object.entries(event.properties || {}).forEach(([key, value]) => {
+            const label = `${key}=${value}`;
+            entry.values.set(label, (entry.values.get(label) || 0) + 1);
+        });
+    });
+
+    return Array.from(byName.values())
+        .map(entry => ({
+            event: entry.event,
+            count: entry.count,
+            top: Array.from(entry.values.entries())
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([label, count]) => `${label} (${count})`)
+                .join(', ')
+        }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// ===== REPORT =====
+if (require.main === module) {
+    const dataDir = process.env.FLOW_DATA_DIR || path.join(ROOT, 'data');
+    const { createStore } = require('./store');
+
+    createStore(path.join(dataDir, 'events.json')).all().then(events => {
+        if (!events.length) {
+            console.log('No analytics events recorded yet.');
+            return;
+        }
+        console.table(summarizeEvents(events));
+    });
+}
+
+module.exports = {
+    validateEvent,
+    createEventsHandler,
+    summarizeEvents
+};
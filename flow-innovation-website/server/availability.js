@@ -0,0 +1,145 @@
+/**
+ * Flow Innovation - Consultation Availability
+ * Turns the weekly hours in availability.json into bookable UTC slots
+ */
+
+'use strict';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Offset (ms) between UTC and the wall clock in `timeZone` at `date`
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+
+    const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in `timeZone` to a UTC Date (DST aware)
+ */
+function zonedTimeToUtc(year, month, day, hours, minutes, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hours, minutes);
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    let utc = guess - offset;
+
+    // Re-check when the guess and the result fall on different sides of a DST change
+    const correctedOffset = getTimeZoneOffset(new Date(utc), timeZone);
+    if (correctedOffset !== offset) {
+        utc = guess - correctedOffset;
+    }
+
+    return new Date(utc);
+}
+
+/**
+ * Calendar date (year, month, day) of `date` in `timeZone`
+ */
+function getZonedDate(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+
+    return { year: parts.year, month: parts.month, day: parts.day };
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Generate every slot for every consultant within the booking horizon
+ */
+function generateSlots(config, now = new Date()) {
+    const { timeZone, slotMinutes, horizonDays, minimumNoticeHours } = config;
+    const blackoutDates = new Set(config.blackoutDates || []);
+    const earliestStart = now.getTime() + minimumNoticeHours * 60 * 60 * 1000;
+    const today = getZonedDate(now, timeZone);
+    const slots = [];
+
+    for (let offset = 0; offset <= horizonDays; offset++) {
+        // Calendar arithmetic in UTC is safe: only the date parts are used
+        const calendarDay = new Date(Date.UTC(today.year, today.month - 1, today.day) + offset * DAY_MS);
+        const dateKey = calendarDay.toISOString().slice(0, 10);
+        const weekday = WEEKDAYS[calendarDay.getUTCDay()];
+
+        if (blackoutDates.has(dateKey)) continue;
+
+        config.consultants.forEach(consultant => {
+            (consultant.weeklyHours[weekday] || []).forEach(([from, to]) => {
+                for (let minute = toMinutes(from); minute + slotMinutes <= toMinutes(to); minute += slotMinutes) {
+                    const start = zonedTimeToUtc(
+                        calendarDay.getUTCFullYear(),
+                        calendarDay.getUTCMonth() + 1,
+                        calendarDay.getUTCDate(),
+                        Math.floor(minute / 60),
+                        minute % 60,
+                        timeZone
+                    );
+
+                    if (start.getTime() < earliestStart) continue;
+
+                    slots.push({
+                        consultantId: consultant.id,
+                        start: start.toISOString(),
+                        end: new Date(start.getTime() + slotMinutes * 60 * 1000).toISOString()
+                    });
+                }
+            });
+        });
+    }
+
+    return slots;
+}
+
+/**
+ * Slots not yet taken, keyed by consultant
+ */
+function getOpenSlots(config, bookings, now = new Date()) {
+    const taken = new Set(bookings.map(booking => `${booking.consultantId}|${booking.start}`));
+    return generateSlots(config, now).filter(slot => !taken.has(`${slot.consultantId}|${slot.start}`));
+}
+
+/**
+ * Public view: one entry per start time, sorted, without consultant details
+ */
+function summarizeSlots(openSlots) {
+    const byStart = new Map();
+    openSlots.forEach(slot => {
+        if (!byStart.has(slot.start)) byStart.set(slot.start, { start: slot.start, end: slot.end });
+    });
+
+    return Array.from(byStart.values()).sort((a, b) => a.start.localeCompare(b.start));
+}
+
+module.exports = {
+    zonedTimeToUtc,
+    generateSlots,
+    getOpenSlots,
+    summarizeSlots
+};
@@ -0,0 +1,204 @@
+/**
+ * Flow Innovation - Consultation Bookings
+ * Availability, double-booking-safe reservations and calendar invites
+ */
+
+'use strict';
+
+const { HttpError, readJson, sendJson } = require('./http');
+const { validateLead } = require('./leads');
+const { getOpenSlots, summarizeSlots } = require('./availability');
+
+const INVITE_SUMMARY = 'Flow Innovation consultation';
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Quote an iCalendar parameter value (e.g. CN); DQUOTEs and control characters are not allowed inside
+ */
+function quoteIcsParam(value) {
+    return `"${String(value).replace(/["\x00-\x1f\x7f]/g, '')}"`;
+}
+
+/**
+ * Fold iCalendar lines at 75 octets as RFC 5545 requires
+ */
+function foldIcsLine(line) {
+    const folded = [];
+    let current = '';
+
+    Array.from(line).forEach(char => {
+        if (Buffer.byteLength(current + char) > 75) {
+            folded.push(current);
+            current = ' ';
+        }
+        current += char;
+    });
+    folded.push(current);
+
+    return folded.join('\r\n');
+}
+
+/**
+ * Format a date as an iCalendar UTC timestamp (20261019T140000Z)
+ */
+function toIcsDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build the .ics invite for a booking
+ */
+function buildInvite(booking) {
+    const description = [
+        `Introductory consultation with ${booking.consultantName}.`,
+        booking.message ? `Your notes: ${booking.message}` : ''
+    ].filter(Boolean).join('\n\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Flow Innovation//Consultation Booking//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${booking.id}@flow-innovation`,
+        `DTSTAMP:${toIcsDate(booking.createdAt)}`,
+        `DTSTART:${toIcsDate(booking.start)}`,
+        `DTEND:${toIcsDate(booking.end)}`,
+        `SUMMARY:${escapeIcsText(INVITE_SUMMARY)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        `ATTENDEE;CN=${quoteIcsParam(booking.name)};ROLE=REQ-PARTICIPANT:mailto:${booking.email}`,
+        'STATUS:CONFIRMED',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Create the booking route handlers; `guard` screens out spam (see spam.js)
+ */
+function createBookingHandlers(store, config, guard) {
+    // Bookings are checked and written one at a time so two visitors cannot take the same slot
+    let bookingQueue = Promise.resolve();
+
+    function serialize(task) {
+        const run = bookingQueue.then(task, task);
+        bookingQueue = run.catch(() => {});
+        return run;
+    }
+
+    async function handleAvailability(req, res) {
+        const bookings = await store.all();
+
+        sendJson(res, 200, {
+            timeZone: config.timeZone,
+            slotMinutes: config.slotMinutes,
+            slots: summarizeSlots(getOpenSlots(config, bookings))
+        });
+    }
+
+    async function handleCreateBooking(req, res) {
+        const body = await readJson(req);
+        const verdict = guard.inspect(req, body);
+        const { lead, errors } = validateLead({ ...body, pathway: 'consultation' });
+
+        const start = typeof body.start === 'string' ? body.start : '';
+        if (!start || Number.isNaN(Date.parse(start))) {
+            errors.start = 'Please choose a time slot.';
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw new HttpError(422, 'validation_failed', 'Please check the highlighted fields.', { fields: errors });
+        }
+
+        // Suspected spam never reserves a slot; it is kept for review and answered like a request
+        if (verdict.reason) {
+            const held = await guard.quarantine('booking', verdict, { ...lead, start }, req);
+            sendJson(res, 202, {
+                id: held.id,
+                pathway: 'consultation',
+                receivedAt: held.createdAt
+            });
+            return;
+        }
+
+        const booking = await serialize(async () => {
+            if (await guard.findDuplicate(store, lead)) {
+                throw new HttpError(409, 'duplicate_booking', 'You have already booked a consultation today. Please use the calendar invite you received, or contact us to reschedule.', {
+                    fields: { email: 'A consultation is already booked with this email.' }
+                });
+            }
+
+            const slot = getOpenSlots(config, await store.all())
+                .find(candidate => candidate.start === new Date(start).toISOString());
+
+            if (!slot) {
+                throw new HttpError(409, 'slot_unavailable', 'Sorry, that time was just booked. Please choose another slot.', {
+                    fields: { start: 'This slot is no longer available.' }
+                });
+            }
+
+            const consultant = config.consultants.find(item => item.id === slot.consultantId);
+
+            return store.insert({
+                ...lead,
+                start: slot.start,
+                end: slot.end,
+                consultantId: consultant.id,
+                consultantName: consultant.name,
+                visitorTimeZone: typeof body.timeZone === 'string' ? body.timeZone.slice(0, 64) : ''
+            });
+        });
+
+        console.log(`Consultation booked: ${booking.id} at ${booking.start}`);
+
+        sendJson(res, 201, {
+            id: booking.id,
+            pathway: 'consultation',
+            start: booking.start,
+            end: booking.end,
+            receivedAt: booking.createdAt,
+            inviteUrl: `/api/bookings/${booking.id}/invite.ics`
+        });
+    }
+
+    async function handleInvite(req, res, params) {
+        const [booking] = await store.find(item => item.id === params[0]);
+        if (!booking) {
+            throw new HttpError(404, 'not_found', 'Booking not found.');
+        }
+
+        const invite = buildInvite(booking);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="flow-innovation-consultation.ics"',
+            'Content-Length': Buffer.byteLength(invite),
+            'Cache-Control': 'no-store'
+        });
+        res.end(invite);
+    }
+
+    return {
+        handleAvailability,
+        handleCreateBooking,
+        handleInvite
+    };
+}
+
+module.exports = {
+    buildInvite,
+    createBookingHandlers
+};
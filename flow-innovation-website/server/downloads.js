@@ -0,0 +1,182 @@
+/**
+ * Flow Innovation - Gated Downloads
+ * Signed, expiring download links for pathway resources, with per-asset counts
+ *
+ * Report: node server/downloads.js   (or npm run downloads:report)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { ROOT, CONTENT_TYPES } = require('./static');
+
+const PATHWAYS = require('../assets/js/pathways');
+
+const DOWNLOADS_DIR = path.join(ROOT, 'assets', 'downloads');
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Look up the resource a pathway delivers, if any
+ */
+function getResource(pathway) {
+    const config = Object.prototype.hasOwnProperty.call(PATHWAYS, pathway) ? PATHWAYS[pathway] : null;
+    return config && config.resource ? config.resource : null;
+}
+
+/**
+ * Issue and verify HMAC-signed tokens: base64url(JSON payload) + "." + base64url(signature)
+ */
+function createDownloadTokens(secret, ttlHours = DEFAULT_TTL_HOURS) {
+    function sign(encoded) {
+        return crypto.createHmac('sha256', secret).update(encoded).digest('base64url');
+    }
+
+    return {
+        /**
+         * Token for a stored lead; returns { token, expiresAt }
+         */
+        issue(lead, now = Date.now()) {
+            const expiresAt = now + ttlHours * 60 * 60 * 1000;
+            const encoded = Buffer.from(JSON.stringify({
+                lead: lead.id,
+                pathway: lead.pathway,
+                exp: expiresAt
+            })).toString('base64url');
+
+            return {
+                token: `${encoded}.${sign(encoded)}`,
+                expiresAt: new Date(expiresAt).toISOString()
+            };
+        },
+
+        /**
+         * Decode a token, throwing an HttpError if it is forged or expired
+         */
+        verify(token, now = Date.now()) {
+            const [encoded, signature] = String(token).split('.');
+            const expected = encoded ? sign(encoded) : '';
+
+            const valid = signature &&
+                signature.length === expected.length &&
+                crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+            if (!valid) {
+                throw new HttpError(403, 'invalid_token', 'This download link is not valid.');
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+            } catch (e) {
+                throw new HttpError(403, 'invalid_token', 'This download link is not valid.');
+            }
+
+            if (typeof payload.exp !== 'number' || payload.exp < now) {
+                throw new HttpError(410, 'token_expired', 'This download link has expired. Please fill in the form again to get a new one.');
+            }
+
+            return payload;
+        }
+    };
+}
+
+/**
+ * Download details to return with a stored lead, or null if its pathway has no resource
+ */
+function describeDownload(lead, tokens) {
+    const resource = getResource(lead.pathway);
+    if (!resource) return null;
+
+    const { token, expiresAt } = tokens.issue(lead);
+
+    return {
+        title: resource.title,
+        file: resource.file,
+        url: `/downloads/${token}`,
+        expiresAt
+    };
+}
+
+/**
+ * Create the GET /downloads/:token handler; every delivered file is recorded in `store`
+ */
+function createDownloadHandler(store, tokens) {
+    return async function handleDownload(req, res, params) {
+        const payload = tokens.verify(params[0]);
+        const resource = getResource(payload.pathway);
+
+        if (!resource) {
+            throw new HttpError(404, 'not_found', 'This resource is no longer offered.');
+        }
+
+        const fileName = path.basename(resource.file);
+        const filePath = path.join(DOWNLOADS_DIR, fileName);
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (e) {
+            console.warn(`Download requested but missing: ${filePath}`);
+            throw new HttpError(404, 'resource_unavailable', 'This resource is not available yet. Please try again later.');
+        }
+
+        await store.insert({
+            asset: resource.file,
+            pathway: payload.pathway,
+            leadId: payload.lead
+        });
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size,
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'Cache-Control': 'private, no-store'
+        });
+
+        fs.createReadStream(filePath).pipe(res);
+    };
+}
+
+/**
+ * Downloads and distinct leads per asset, most downloaded first
+ */
+function summarizeDownloads(events) {
+    const byAsset = new Map();
+
+    events.forEach(event => {
+        if (!byAsset.has(event.asset)) {
+            byAsset.set(event.asset, { asset: event.asset, pathway: event.pathway, downloads: 0, leads: new Set() });
+        }
+        const entry = byAsset.get(event.asset);
+        entry.downloads++;
+        entry.leads.add(event.leadId);
+    });
+
+    return Array.from(byAsset.values())
+        .map(entry => ({ ...entry, leads: entry.leads.size }))
+        .sort((a, b) => b.downloads - a.downloads);
+}
+
+// ===== REPORT =====
+if (require.main === module) {
+    const dataDir = process.env.FLOW_DATA_DIR || path.join(ROOT, 'data');
+    const { createStore } = require('./store');
+
+    createStore(path.join(dataDir, 'downloads.json')).all().then(events => {
+        if (!events.length) {
+            console.log('No downloads recorded yet.');
+            return;
+        }
+        console.table(summarizeDownloads(events));
+    });
+}
+
+module.exports = {
+    createDownloadTokens,
+    describeDownload,
+    createDownloadHandler,
+    summarizeDownloads
+};
@@ -0,0 +1,109 @@
+/**
+ * Flow Innovation - HTTP Helpers
+ * Request parsing and JSON responses for the local server
+ */
+
+'use strict';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Error carrying an HTTP status and an optional machine-readable payload
+ */
+class HttpError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(payload);
+}
+
+/**
+ * Send an HttpError (or an unexpected error) as JSON
+ */
+function sendError(res, error) {
+    if (error instanceof HttpError) {
+        sendJson(res, error.status, {
+            error: error.code,
+            message: error.message,
+            ...error.details
+        });
+        return;
+    }
+
+    console.error('Unexpected server error:', error);
+    sendJson(res, 500, {
+        error: 'internal_error',
+        message: 'Something went wrong on our side. Please try again.'
+    });
+}
+
+/**
+ * Read and parse a JSON request body; it must be a JSON object
+ */
+function readJson(req, limit = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const contentType = req.headers['content-type'] || '';
+        if (!contentType.includes('application/json')) {
+            reject(new HttpError(415, 'unsupported_media_type', 'Expected a JSON request body.'));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'payload_too_large', 'Request body is too large.'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+            } catch (e) {
+                reject(new HttpError(400, 'invalid_json', 'Request body is not valid JSON.'));
+                return;
+            }
+
+            // Routes read fields straight off the body, so `null`, arrays and bare values are refused here
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new HttpError(400, 'invalid_json', 'Request body must be a JSON object.'));
+                return;
+            }
+
+            resolve(body);
+        });
+
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    HttpError,
+    sendJson,
+    sendError,
+    readJson
+};
@@ -0,0 +1,120 @@
+/**
+ * Flow Innovation - Local Server
+ * Serves the site, the lead-capture API, gated downloads, consultation bookings
+ * and the analytics event endpoint
+ *
+ * Usage: node server/index.js   (PORT, FLOW_DATA_DIR and FLOW_DOWNLOAD_SECRET are optional)
+ */
+
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError, sendError } = require('./http');
+const { createStore } = require('./store');
+const { createLeadsHandler } = require('./leads');
+const { createDownloadTokens, createDownloadHandler } = require('./downloads');
+const { createBookingHandlers } = require('./bookings');
+const { createSpamGuard } = require('./spam');
+const { createEventsHandler } = require('./analytics');
+const { ROOT, serveStatic } = require('./static');
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_DIR = process.env.FLOW_DATA_DIR || path.join(ROOT, 'data');
+
+// Without a configured secret, download links stop working when the server restarts
+const DOWNLOAD_SECRET = process.env.FLOW_DOWNLOAD_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Build the route table; `path` is an exact string or a RegExp whose groups become params
+ */
+function createRoutes() {
+    const leads = createStore(path.join(DATA_DIR, 'leads.json'));
+    const downloads = createStore(path.join(DATA_DIR, 'downloads.json'));
+    const tokens = createDownloadTokens(DOWNLOAD_SECRET);
+    const guard = createSpamGuard(createStore(path.join(DATA_DIR, 'quarantine.json')));
+    const events = createStore(path.join(DATA_DIR, 'events.json'));
+    const bookings = createBookingHandlers(
+        createStore(path.join(DATA_DIR, 'bookings.json')),
+        require('./availability.json'),
+        guard
+    );
+
+    return [
+        { method: 'POST', path: '/api/leads', handler: createLeadsHandler(leads, tokens, guard) },
+        { method: 'GET', path: /^\/downloads\/([\w-]+\.[\w-]+)$/, handler: createDownloadHandler(downloads, tokens) },
+        { method: 'GET', path: '/api/availability', handler: bookings.handleAvailability },
+        { method: 'POST', path: '/api/bookings', handler: bookings.handleCreateBooking },
+        { method: 'GET', path: /^\/api\/bookings\/([\w-]+)\/invite\.ics$/, handler: bookings.handleInvite },
+        { method: 'POST', path: '/api/events', handler: createEventsHandler(events) }
+    ];
+}
+
+/**
+ * Match a pathname against a route, returning its params or null
+ */
+function matchRoute(route, pathname) {
+    if (typeof route.path === 'string') {
+        return route.path === pathname ? [] : null;
+    }
+
+    const match = pathname.match(route.path);
+    return match ? match.slice(1) : null;
+}
+
+/**
+ * Create the HTTP server
+ */
+function createServer() {
+    const routes = createRoutes();
+
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try {
+            const matches = routes
+                .map(route => ({ route, params: matchRoute(route, pathname) }))
+                .filter(candidate => candidate.params);
+
+            if (matches.length) {
+                const match = matches.find(candidate => candidate.route.method === req.method);
+                if (!match) {
+                    const allowed = matches.map(candidate => candidate.route.method).join(', ');
+                    throw new HttpError(405, 'method_not_allowed', `Use ${allowed} for ${pathname}.`);
+                }
+                await match.route.handler(req, res, match.params);
+                return;
+            }
+
+            if (pathname.startsWith('/api/')) {
+                throw new HttpError(404, 'not_found', 'Unknown API route.');
+            }
+
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                throw new HttpError(405, 'method_not_allowed', 'Only GET and HEAD are supported here.');
+            }
+
+            await serveStatic(req, res, pathname);
+        } catch (error) {
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+            sendError(res, error);
+        }
+    });
+}
+
+// ===== STARTUP =====
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`🌊 Flow Innovation - Serving on http://localhost:${PORT}`);
+        console.log(`📁 Data directory: ${DATA_DIR}`);
+        if (!process.env.FLOW_DOWNLOAD_SECRET) {
+            console.warn('⚠️  FLOW_DOWNLOAD_SECRET is not set; download links will expire when the server restarts');
+        }
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,143 @@
+/**
+ * Flow Innovation - Lead Capture
+ * Validation and storage for pathway form submissions
+ */
+
+'use strict';
+
+const { HttpError, readJson, sendJson } = require('./http');
+const { describeDownload } = require('./downloads');
+
+const PATHWAYS = require('../assets/js/pathways');
+const FREE_MAIL_DOMAINS = require('../assets/js/free-mail-domains');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_MAX_LENGTH = 200;
+
+/**
+ * Normalize a submitted value to a trimmed string
+ */
+function clean(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Check one value against its field definition from pathways.js
+ */
+function validateField(field, value) {
+    const maxLength = field.maxLength || DEFAULT_MAX_LENGTH;
+
+    if (!value) {
+        return field.required ? 'This field is required.' : '';
+    }
+    if (value.length > maxLength) {
+        return `Must be ${maxLength} characters or fewer.`;
+    }
+    if (field.minLength && value.length < field.minLength) {
+        return `Must be at least ${field.minLength} characters.`;
+    }
+    if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+        return 'Please enter a valid email address.';
+    }
+    if (field.businessEmail && FREE_MAIL_DOMAINS.includes(value.split('@').pop().toLowerCase())) {
+        return 'Please use your work email address.';
+    }
+    if (field.options && !field.options.includes(value)) {
+        return 'Please choose one of the listed options.';
+    }
+
+    return '';
+}
+
+/**
+ * Validate a lead payload against its pathway's fields,
+ * returning the sanitized lead and field errors
+ */
+function validateLead(body) {
+    const lead = { pathway: clean(body.pathway) };
+    const errors = {};
+    const pathway = Object.prototype.hasOwnProperty.call(PATHWAYS, lead.pathway) ? PATHWAYS[lead.pathway] : null;
+
+    if (!pathway) {
+        errors.pathway = 'Unknown pathway.';
+        return { lead, errors };
+    }
+
+    pathway.fields.forEach(field => {
+        const value = clean(body[field.name]);
+        const error = validateField(field, value);
+
+        if (error) {
+            errors[field.name] = error;
+        }
+        lead[field.name] = value;
+    });
+
+    if (lead.email) {
+        lead.email = lead.email.toLowerCase();
+    }
+
+    lead.page = clean(body.page).slice(0, DEFAULT_MAX_LENGTH);
+
+    return { lead, errors };
+}
+
+/**
+ * Create the POST /api/leads handler; `tokens` signs the download link for the pathway's resource
+ * and `guard` screens out spam (see spam.js)
+ */
+function createLeadsHandler(store, tokens, guard) {
+    return async function handleCreateLead(req, res) {
+        const body = await readJson(req);
+        const verdict = guard.inspect(req, body);
+        const { lead, errors } = validateLead(body);
+
+        if (Object.keys(errors).length > 0) {
+            throw new HttpError(422, 'validation_failed', 'Please check the highlighted fields.', { fields: errors });
+        }
+
+        // Answer like a normal submission so bots learn nothing; the lead waits for review
+        if (verdict.reason) {
+            const held = await guard.quarantine('lead', verdict, lead, req);
+            sendJson(res, 202, {
+                id: held.id,
+                pathway: held.pathway,
+                receivedAt: held.createdAt,
+                download: null
+            });
+            return;
+        }
+
+        // Resubmitting (e.g. a lost download link) returns the stored lead with a fresh link
+        const duplicate = await guard.findDuplicate(store, lead);
+        if (duplicate) {
+            sendJson(res, 200, {
+                id: duplicate.id,
+                pathway: duplicate.pathway,
+                receivedAt: duplicate.createdAt,
+                duplicate: true,
+                download: describeDownload(duplicate, tokens)
+            });
+            return;
+        }
+
+        const record = await store.insert({
+            ...lead,
+            userAgent: req.headers['user-agent'] || ''
+        });
+
+        console.log(`Lead captured: ${record.id} (${record.pathway})`);
+
+        sendJson(res, 201, {
+            id: record.id,
+            pathway: record.pathway,
+            receivedAt: record.createdAt,
+            download: describeDownload(record, tokens)
+        });
+    };
+}
+
+module.exports = {
+    validateLead,
+    createLeadsHandler
+};
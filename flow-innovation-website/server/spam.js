@@ -0,0 +1,141 @@
+/**
+ * Flow Innovation - Spam Protection
+ * Per-IP rate limiting, honeypot and time-to-submit checks, duplicate detection
+ * and a quarantine for suspected spam (kept for review, never silently dropped)
+ */
+
+'use strict';
+
+const { HttpError } = require('./http');
+
+const DEFAULTS = {
+    rateLimit: 10,                          // submissions per IP...
+    rateWindowMs: 15 * 60 * 1000,           // ...per 15 minutes
+    minSubmitMs: 3000,                      // faster than this is almost certainly a bot
+    duplicateWindowMs: 24 * 60 * 60 * 1000  // same email + pathway within a day is a duplicate
+};
+
+// Must match the honeypot field main.js adds to every form
+const HONEYPOT_FIELD = 'website';
+
+/**
+ * Client address; X-Forwarded-For is only trusted behind a proxy (FLOW_TRUST_PROXY=1)
+ */
+function getClientIp(req) {
+    if (process.env.FLOW_TRUST_PROXY === '1' && req.headers['x-forwarded-for']) {
+        return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Sliding-window counter per key, kept in memory
+ */
+function createRateLimiter(limit, windowMs) {
+    const hits = new Map();
+    let lastSweep = 0;
+
+    // Forget idle clients so the map does not grow without bound
+    function sweep(now) {
+        if (now - lastSweep < windowMs) return;
+        lastSweep = now;
+
+        hits.forEach((times, key) => {
+            if (!times.length || times[times.length - 1] <= now - windowMs) hits.delete(key);
+        });
+    }
+
+    return {
+        /**
+         * Record a hit; returns seconds to wait when over the limit, otherwise 0
+         */
+        hit(key, now = Date.now()) {
+            sweep(now);
+
+            const times = (hits.get(key) || []).filter(time => time > now - windowMs);
+
+            if (times.length >= limit) {
+                hits.set(key, times);
+                return Math.ceil((times[0] + windowMs - now) / 1000);
+            }
+
+            times.push(now);
+            hits.set(key, times);
+            return 0;
+        }
+    };
+}
+
+/**
+ * Create the guard shared by the lead and booking handlers
+ */
+function createSpamGuard(quarantine, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const limiter = createRateLimiter(settings.rateLimit, settings.rateWindowMs);
+
+    return {
+        /**
+         * Apply the rate limit and read the bot signals of a parsed body (an object, see readJson).
+         * Throws 429 over the limit; otherwise returns { ip, reason } where
+         * `reason` is null for submissions that look human.
+         */
+        inspect(req, body) {
+            const ip = getClientIp(req);
+            const retryAfter = limiter.hit(ip);
+
+            if (retryAfter) {
+                throw new HttpError(429, 'rate_limited', 'Too many submissions. Please wait a few minutes and try again.', { retryAfter });
+            }
+
+            const elapsed = Number(body.elapsedMs);
+            let reason = null;
+
+            if (typeof body[HONEYPOT_FIELD] === 'string' && body[HONEYPOT_FIELD].trim()) {
+                reason = 'honeypot';
+            } else if (!Number.isFinite(elapsed)) {
+                reason = 'missing_timer';
+            } else if (elapsed < settings.minSubmitMs) {
+                reason = 'too_fast';
+            }
+
+            return { ip, reason };
+        },
+
+        /**
+         * Keep a suspected spam submission for review instead of storing it as a lead
+         */
+        async quarantine(kind, verdict, record, req) {
+            const held = await quarantine.insert({
+                kind,
+                reason: verdict.reason,
+                ip: verdict.ip,
+                userAgent: req.headers['user-agent'] || '',
+                ...record
+            });
+
+            console.warn(`Quarantined ${kind} (${verdict.reason}) from ${verdict.ip}`);
+            return held;
+        },
+
+        /**
+         * Most recent record in `store` with the same email and pathway inside the duplicate window
+         */
+        async findDuplicate(store, lead, now = Date.now()) {
+            const since = now - settings.duplicateWindowMs;
+            const matches = await store.find(item =>
+                item.email === lead.email &&
+                item.pathway === lead.pathway &&
+                Date.parse(item.createdAt) >= since
+            );
+
+            return matches.length ? matches[matches.length - 1] : null;
+        }
+    };
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    getClientIp,
+    createRateLimiter,
+    createSpamGuard
+};
@@ -0,0 +1,101 @@
+/**
+ * Flow Innovation - Static Files
+ * Serves the public pages and assets from the project root
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+    '.woff2': 'font/woff2'
+};
+
+// Only top-level pages, the service worker and the assets folder are public; server code and data never are
+const PUBLIC_PATHS = [
+    /^\/[\w-]+\.html$/,
+    /^\/sw\.js$/,
+    /^\/assets\/[\w./-]+$/
+];
+
+// Gated resources are only delivered through signed /downloads/:token links
+const PRIVATE_PATHS = [
+    /^\/assets\/downloads\//i
+];
+
+/**
+ * Resolve a request path to a file inside the project root
+ */
+function resolvePublicFile(urlPath) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(urlPath);
+    } catch (e) {
+        return null;
+    }
+    if (pathname === '/') pathname = '/index.html';
+
+    if (pathname.includes('..') ||
+        !PUBLIC_PATHS.some(pattern => pattern.test(pathname)) ||
+        PRIVATE_PATHS.some(pattern => pattern.test(pathname))) {
+        return null;
+    }
+
+    return path.join(ROOT, pathname);
+}
+
+/**
+ * Serve a static file for GET/HEAD requests
+ */
+async function serveStatic(req, res, urlPath) {
+    const filePath = resolvePublicFile(urlPath);
+    if (!filePath) {
+        throw new HttpError(404, 'not_found', 'Page not found.');
+    }
+
+    let stats;
+    try {
+        stats = await fs.promises.stat(filePath);
+    } catch (e) {
+        throw new HttpError(404, 'not_found', 'Page not found.');
+    }
+
+    if (!stats.isFile()) {
+        throw new HttpError(404, 'not_found', 'Page not found.');
+    }
+
+    const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+
+    res.writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Length': stats.size
+    });
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    fs.createReadStream(filePath).pipe(res);
+}
+
+module.exports = {
+    ROOT,
+    CONTENT_TYPES,
+    serveStatic
+};
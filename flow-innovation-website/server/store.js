@@ -0,0 +1,94 @@
+/**
+ * Flow Innovation - File-Backed Store
+ * Minimal JSON collection persisted to disk with serialized writes
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a store backed by a single JSON file holding an array of records
+ */
+function createStore(filePath) {
+    let records = null;
+    let loading = null;
+    let writeQueue = Promise.resolve();
+
+    /**
+     * Lazily load records from disk (once, even under concurrent calls)
+     */
+    function load() {
+        if (!loading) {
+            loading = fs.promises.readFile(filePath, 'utf8')
+                .then(raw => JSON.parse(raw))
+                .catch(e => {
+                    if (e.code !== 'ENOENT') throw e;
+                    return [];
+                })
+                .then(loaded => {
+                    records = loaded;
+                    return records;
+                });
+        }
+
+        return loading;
+    }
+
+    /**
+     * Persist records atomically (write to temp file, then rename)
+     */
+    function persist() {
+        writeQueue = writeQueue.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(records, null, 2));
+            await fs.promises.rename(tempPath, filePath);
+        });
+
+        return writeQueue;
+    }
+
+    return {
+        async all() {
+            return (await load()).slice();
+        },
+
+        async find(predicate) {
+            return (await load()).filter(predicate);
+        },
+
+        async insert(data) {
+            await load();
+
+            // The store owns id and createdAt; callers cannot override them
+            const record = {
+                ...data,
+                id: crypto.randomUUID(),
+                createdAt: new Date().toISOString()
+            };
+
+            records.push(record);
+            await persist();
+            return record;
+        },
+
+        /**
+         * Insert several records with a single write
+         */
+        async insertMany(items) {
+            await load();
+
+            const createdAt = new Date().toISOString();
+            const inserted = items.map(data => ({ ...data, id: crypto.randomUUID(), createdAt }));
+
+            records.push(...inserted);
+            await persist();
+            return inserted;
+        }
+    };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,73 @@
+/**
+ * Flow Innovation - Service Worker
+ * Replays queued lead submissions through Background Sync
+ */
+
+/* global FlowLeadQueue */
+
+importScripts('assets/js/lead-queue.js');
+
+const LEADS_ENDPOINT = '/api/leads';
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(self.clients.claim());
+});
+
+/**
+ * Post a queued lead, rejecting with the HTTP status on failure
+ */
+async function sendLead(payload) {
+    const response = await fetch(LEADS_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(result.message || 'Submission failed');
+        error.status = response.status;
+        throw error;
+    }
+
+    return result;
+}
+
+/**
+ * Tell open pages what happened so they can notify the visitor
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Flush the queue; rejecting lets the browser retry the sync later
+ */
+async function replayQueuedLeads() {
+    const result = await FlowLeadQueue.flush(sendLead);
+
+    if (result.sent.length || result.rejected.length) {
+        await notifyClients({
+            type: 'flow-lead-sync',
+            sent: result.sent.map(item => item.payload),
+            rejected: result.rejected.map(item => ({ payload: item.payload, message: item.error.message })),
+            downloads: result.sent.map(item => item.response && item.response.download).filter(Boolean)
+        });
+    }
+
+    if (result.remaining > 0) {
+        throw new Error(`${result.remaining} queued lead(s) still pending`);
+    }
+}
+
+self.addEventListener('sync', event => {
+    if (event.tag === FlowLeadQueue.SYNC_TAG) {
+        event.waitUntil(replayQueuedLeads());
+    }
+});